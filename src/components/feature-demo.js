@@ -2,7 +2,6 @@ import { html } from "lit";
 import { AuroElement } from "../root/auro-element";
 import { FocusFeature } from "../features/focus-feature";
 import { CounterFeature } from "../features/counter-feature";
-import { LifecycleLoggerFeature } from "../features/lifecycle-logger-feature";
 import { classMap } from "lit/directives/class-map.js";
 
 /**
@@ -20,9 +19,11 @@ import { classMap } from "lit/directives/class-map.js";
  * 
  * Features:
  *   - Layout: provides layout, shape, size, onDark, layoutClasses
+ *   - Theme: resolves theme and onDark from ancestors' data-theme/ondark or the color scheme
  *   - Focus: tracks focus state, makes host focusable, logs focus/blur
- *   - Counter: exposes count property, increment/decrement methods, fires events
- *   - LifecycleLogger: logs lifecycle events to console
+ *   - Counter: exposes count property, increment/decrement methods on the host, fires events,
+ *     announces the count in the 'after-content' feature region
+ *   - LifecycleLogger: logs lifecycle events to console, lazy-loaded when the element connects
  */
 export class FeatureDemoElement extends AuroElement {
 
@@ -31,7 +32,8 @@ export class FeatureDemoElement extends AuroElement {
       // layout feature is inherited from AuroElement
       Focus: { class: FocusFeature, config: { makeHostFocusable: false } },
       Counter: { class: CounterFeature, config: { start: 5 } },
-      LifecycleLogger: { class: LifecycleLoggerFeature }
+      // Loaded on first use, so it stays out of the main bundle
+      LifecycleLogger: { load: () => import("../features/lifecycle-logger-feature").then(module => module.LifecycleLoggerFeature) }
     };
   }
 
@@ -42,12 +44,12 @@ export class FeatureDemoElement extends AuroElement {
     return {
       // Override layout config and properties
       Layout: {
-        config: { layout: "emphasized", shape: "rounded", size: "lg", onDark: false },
-        properties: {
-          // Example: disable the 'onDark' property from layout feature
-          onDark: "disable"
-        }
+        config: { layout: "emphasized", shape: "rounded", size: "lg" }
+        // Example: disable a property from the layout feature
+        // properties: { shape: "disable" }
       },
+      // Opt into the theme feature provided by AuroElement; it sets onDark, so nobody has to by hand
+      Theme: { enabled: true },
       // Enable focus feature with custom callbacks
       Focus: {
         config: {
@@ -68,6 +70,15 @@ export class FeatureDemoElement extends AuroElement {
   //   return { ...super.features, focus: "disable" };
   // }
 
+  // Layout renderers, selected by the layout attribute
+  static get layouts() {
+    return {
+      classic: "renderLayoutClassic",
+      emphasized: "renderLayoutEmphasized",
+      default: "renderLayoutClassic"
+    };
+  }
+
   renderLayoutClassic() {
     return html`
       <div class="${classMap(this.layoutClasses || {})}">
@@ -84,25 +95,10 @@ export class FeatureDemoElement extends AuroElement {
     `;
   }
 
-  renderers = {
-    classic: this.renderLayoutClassic,
-    emphasized: this.renderLayoutEmphasized,
-    default: this.renderLayoutClassic
-  }
-
-  get layoutRenderer() {
-    const layoutRenderer = this.renderers[this.layout] || this.renderers["default"];
-    return layoutRenderer.bind(this);
-  }
-
   updateLayout() { this.layout && (this.layout = this.layout === "classic" ? "emphasized" : "classic"); }
   updateSize() { this.size && (this.size = this.size === "md" ? "lg" : "md"); }
   updateShape() { this.shape && (this.shape = this.shape === "pill" ? "rounded" : "pill"); }
 
-  // Counter feature methods
-  increment() { this.Counter && this.Counter.increment(); }
-  decrement() { this.Counter && this.Counter.decrement(); }
-
   updated(changedProperties) {
     super.updated(changedProperties);
     if (changedProperties.has('hasFocus')) {
@@ -121,19 +117,23 @@ export class FeatureDemoElement extends AuroElement {
       <button @click="${this.updateShape}">Toggle Shape</button>
       <button @click="${this.increment}">Increment Counter</button>
       <button @click="${this.decrement}">Decrement Counter</button>
-      ${this.layoutRenderer()}
+      ${this.getLayout()()}
       <p>
         <strong>Shape:</strong> ${this.shape}<br> 
         <strong>Size:</strong> ${this.size}<br> 
         <strong>Layout:</strong> ${this.layout}<br>
         <strong>Layout Classes:</strong> ${Object.keys(this.layoutClasses || {}).join(", ")}
       </p>
+      <p>
+        <strong>Theme:</strong> ${this.theme} (${this.Theme ? this.Theme.themeSource : "off"}), onDark: ${this.onDark}
+      </p>
       <p>
         <strong>Focus state:</strong> ${this.hasFocus ? 'Focused' : 'Not Focused'}
       </p>
       <p>
         <strong>Counter:</strong> ${this.count}
       </p>
+      ${this.featureRegion('after-content')}
       <p>
         <em>Open the console to see lifecycle and feature logs.</em>
       </p>
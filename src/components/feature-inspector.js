@@ -0,0 +1,194 @@
+import { LitElement, css, html, nothing } from "lit";
+
+/**
+ * <auro-feature-inspector>
+ *
+ * Development tool that shows the features of another element on the page, live:
+ * - Which features are active, and why
+ * - Where each config came from in the class chain, and the runtime config patches
+ * - Which properties each feature contributes, their current values, and disabled properties
+ * - Lazy features still loading, errors thrown, and consumed contexts
+ *
+ * Usage:
+ *   <auro-feature-inspector for="#my-element"></auro-feature-inspector>
+ *
+ * Or point it at an element directly:
+ *   inspector.element = document.querySelector('my-element');
+ *
+ * The panel reads `element.featureManager.inspect()` again whenever the feature manager reports a
+ * change through `subscribe`. Call `refresh()` after adding an element that `for` should match.
+ */
+export class FeatureInspectorElement extends LitElement {
+
+  static get properties() {
+    return {
+      // CSS selector of the element to inspect
+      for: { type: String },
+
+      // Element to inspect, taking precedence over `for`
+      element: { attribute: false },
+
+      _snapshot: { state: true }
+    };
+  }
+
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+        font: 12px/1.4 monospace;
+        border: 1px solid #ccc;
+        padding: 8px;
+      }
+
+      details { border-top: 1px solid #eee; padding: 4px 0; }
+      summary { cursor: pointer; }
+      .status { display: inline-block; width: 8px; height: 8px; border-radius: 50%; background: #bbb; }
+      .active .status { background: #2a2; }
+      .loading .status { background: #e90; }
+      .reason, .empty { color: #777; }
+      .errors { color: #c00; }
+      dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 4px 0 0 16px; }
+      dt { color: #555; }
+      dd { margin: 0; }
+      pre { margin: 0; white-space: pre-wrap; }
+    `;
+  }
+
+  constructor() {
+    super();
+    this._snapshot = null;
+    this._unsubscribe = null;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.refresh();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._subscribe(null);
+  }
+
+  // Refreshes before rendering, so the new snapshot is rendered in the same update
+  willUpdate(changedProperties) {
+    super.willUpdate(changedProperties);
+
+    if (changedProperties.has('for') || changedProperties.has('element')) {
+      this.refresh();
+    }
+  }
+
+  // Listens for changes of the inspected element's features, dropping the previous subscription
+  _subscribe(target) {
+    if (this._unsubscribe) this._unsubscribe();
+    this._unsubscribe = target ? target.featureManager.subscribe(manager => {
+      this._snapshot = manager.inspect();
+    }) : null;
+  }
+
+  /**
+   * The inspected element, if it exists and has features
+   * @returns {HTMLElement|null}
+   */
+  get target() {
+    const target = this.element || (this.for ? document.querySelector(this.for) : null);
+    return target && target.featureManager ? target : null;
+  }
+
+  /**
+   * Finds the inspected element again, reads its features and follows their changes
+   */
+  refresh() {
+    const target = this.target;
+    this._subscribe(this.isConnected ? target : null);
+    this._snapshot = target ? target.featureManager.inspect() : null;
+  }
+
+  _formatValue(value) {
+    if (typeof value === 'function') return `ƒ ${value.name || 'anonymous'}()`;
+    if (value instanceof Element) return `<${value.localName}>`;
+    if (value && typeof value === 'object') {
+      try {
+        return JSON.stringify(value, (key, nested) => (typeof nested === 'function' ? `ƒ ${nested.name || 'anonymous'}()` : nested), 2);
+      } catch (error) {
+        return Object.prototype.toString.call(value);
+      }
+    }
+    return String(value);
+  }
+
+  _renderList(items) {
+    return items.length ? items.join(', ') : html`<span class="empty">none</span>`;
+  }
+
+  _renderFeature(feature) {
+    const configSources = [...new Set([feature.providedBy, ...feature.configuredBy])].map(cls => cls.name);
+    if (Object.keys(feature.configOverrides).length) configSources.push('runtime');
+
+    const state = feature.loading ? 'loading' : feature.active ? 'active' : 'inactive';
+
+    return html`
+      <details class="${state}">
+        <summary>
+          <span class="status"></span>
+          <strong>${feature.name}</strong>
+          ${feature.lazy ? html`<em>lazy</em>` : nothing}
+          ${feature.isController ? html`<em>controller</em>` : nothing}
+          ${feature.errors ? html`<span class="errors">${feature.errors} error(s)</span>` : nothing}
+          <span class="reason">${feature.loading ? 'Loading' : feature.reason}</span>
+        </summary>
+        <dl>
+          <dt>Provided by</dt>
+          <dd>${feature.providedBy.name}</dd>
+          <dt>Config from</dt>
+          <dd>${configSources.join(' → ')}</dd>
+          <dt>Config</dt>
+          <dd><pre>${this._formatValue(feature.config)}</pre></dd>
+          <dt>Properties</dt>
+          <dd>
+            ${feature.properties.length
+              ? feature.properties.map(propName => html`<div>${propName} = ${this._formatValue(feature.values[propName])}</div>`)
+              : html`<span class="empty">none</span>`}
+          </dd>
+          <dt>Disabled properties</dt>
+          <dd>${this._renderList(Object.entries(feature.disabledProperties).map(([propName, cls]) => `${propName} (by ${cls.name})`))}</dd>
+          <dt>Methods</dt>
+          <dd>${this._renderList(feature.methods)}</dd>
+          <dt>Requires</dt>
+          <dd>${this._renderList(feature.requires)}</dd>
+          ${feature.context !== undefined ? html`<dt>Published as</dt><dd>${String(feature.context)}</dd>` : nothing}
+        </dl>
+      </details>
+    `;
+  }
+
+  render() {
+    const snapshot = this._snapshot;
+
+    if (!snapshot) {
+      return html`<span class="empty">No element with features matches ${this.for ? `"${this.for}"` : 'the element property'}.</span>`;
+    }
+
+    const consumes = Object.entries(snapshot.consumes);
+
+    return html`
+      <div>
+        <strong>&lt;${snapshot.host.localName}&gt;</strong>
+        <span class="reason">${snapshot.chain.map(cls => cls.name).join(' → ')}${snapshot.connected ? '' : ' (disconnected)'}</span>
+      </div>
+      ${snapshot.features.map(feature => this._renderFeature(feature))}
+      ${consumes.length ? html`
+        <details>
+          <summary><strong>Consumed contexts</strong></summary>
+          <dl>
+            ${consumes.map(([propName, { context, value }]) => html`<dt>${propName}</dt><dd>${String(context)}: ${value ? 'provided' : 'not provided'}</dd>`)}
+          </dl>
+        </details>
+      ` : nothing}
+    `;
+  }
+}
+
+customElements.define("auro-feature-inspector", FeatureInspectorElement);
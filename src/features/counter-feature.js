@@ -1,8 +1,9 @@
+import { html } from "lit";
 import { AuroFeature } from "../root/auro-feature";
 
 /**
  * CounterFeature
- * Demonstrates a feature with state, methods, and events.
+ * Demonstrates a feature with state, methods, events, and a render contribution.
  */
 export class CounterFeature extends AuroFeature {
   static get properties() {
@@ -11,6 +12,21 @@ export class CounterFeature extends AuroFeature {
     }
   }
 
+  static get configSchema() {
+    return {
+      start: { type: Number, default: 0 }
+    };
+  }
+
+  // Exposed on the host as host.increment() and host.decrement()
+  static get methods() {
+    return ["increment", "decrement"];
+  }
+
+  static get events() {
+    return ["counter-incremented", "counter-decremented"];
+  }
+
   constructor(host, config) {
     super(host, config);
     this.count = config.start || 0;
@@ -18,11 +34,18 @@ export class CounterFeature extends AuroFeature {
 
   increment() {
     this.count++;
-    this.host.dispatchEvent(new CustomEvent("counter-incremented", { detail: { count: this.count } }));
+    this.emit("counter-incremented", { count: this.count });
   }
 
   decrement() {
     this.count--;
-    this.host.dispatchEvent(new CustomEvent("counter-decremented", { detail: { count: this.count } }));
+    this.emit("counter-decremented", { count: this.count });
+  }
+
+  // Announces the count to assistive technology from the host's 'after-content' region
+  renderContribution(region) {
+    if (region !== "after-content") return;
+
+    return html`<span class="counter-announcement" role="status" aria-live="polite">Count is ${this.count}</span>`;
   }
 }
\ No newline at end of file
@@ -0,0 +1,309 @@
+import { AuroFeature } from "../root/auro-feature";
+
+const SIDES = ["top", "right", "bottom", "left"];
+const ALIGNMENTS = ["start", "center", "end"];
+const OPPOSITE_SIDES = { top: "bottom", right: "left", bottom: "top", left: "right" };
+
+/**
+ * Splits a placement like "bottom-start" into its side and alignment
+ * @param {string} placement - A side, optionally followed by "-start" or "-end"
+ * @returns {{ side: string, alignment: string }|null} Null if the placement isn't valid
+ */
+export function parsePlacement(placement) {
+  const [side, alignment = "center", ...rest] = String(placement).split("-");
+  if (!SIDES.includes(side) || !ALIGNMENTS.includes(alignment) || rest.length) return null;
+
+  return { side, alignment };
+}
+
+function formatPlacement(side, alignment) {
+  return alignment === "center" ? side : `${side}-${alignment}`;
+}
+
+// Position of the floating element on one side of the anchor, before flip and shift
+function placeOnSide(anchor, floating, side, alignment, offset) {
+  const vertical = side === "top" || side === "bottom";
+  let x;
+  let y;
+
+  if (side === "top") y = anchor.top - floating.height - offset;
+  if (side === "bottom") y = anchor.bottom + offset;
+  if (side === "left") x = anchor.left - floating.width - offset;
+  if (side === "right") x = anchor.right + offset;
+
+  if (vertical) {
+    if (alignment === "start") x = anchor.left;
+    if (alignment === "end") x = anchor.right - floating.width;
+    if (alignment === "center") x = anchor.left + (anchor.width - floating.width) / 2;
+  } else {
+    if (alignment === "start") y = anchor.top;
+    if (alignment === "end") y = anchor.bottom - floating.height;
+    if (alignment === "center") y = anchor.top + (anchor.height - floating.height) / 2;
+  }
+
+  return { x, y };
+}
+
+// How far a position overflows the boundary on the side it is placed on
+function sideOverflow(position, floating, boundary, side) {
+  if (side === "top") return boundary.top - position.y;
+  if (side === "bottom") return position.y + floating.height - boundary.bottom;
+  if (side === "left") return boundary.left - position.x;
+  return position.x + floating.width - boundary.right;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(value, Math.max(min, max)));
+}
+
+/**
+ * Computes where to put a floating element next to an anchor
+ * All rects are viewport coordinates, like `getBoundingClientRect()` returns.
+ * @param {Object} options
+ * @param {DOMRect} options.anchor - Rect of the anchor
+ * @param {DOMRect} options.floating - Rect of the floating element; only its size is used
+ * @param {{ top: number, right: number, bottom: number, left: number }} options.boundary - Area to stay in
+ * @param {string} [options.placement] - Requested placement, e.g. "bottom-start"
+ * @param {number} [options.offset] - Distance between the anchor and the floating element
+ * @param {boolean} [options.flip] - Move to the opposite side when the requested side overflows and the opposite overflows less
+ * @param {boolean} [options.shift] - Keep the floating element within the boundary along the anchor's side
+ * @param {{ width: number, height: number }} [options.arrow] - Size of the arrow element
+ * @returns {{ x: number, y: number, placement: string, arrow: { x: number, y: number, side: string }|null }}
+ *   `placement` is the final placement after flipping. The arrow's `x` or `y` is relative to the floating
+ *   element, and `side` is the side of the floating element that faces the anchor.
+ */
+export function computePosition({ anchor, floating, boundary, placement = "bottom", offset = 0, flip = true, shift = true, arrow = null }) {
+  const { side: requestedSide, alignment } = parsePlacement(placement) || parsePlacement("bottom");
+  let side = requestedSide;
+  let position = placeOnSide(anchor, floating, side, alignment, offset);
+
+  if (flip && sideOverflow(position, floating, boundary, side) > 0) {
+    const oppositeSide = OPPOSITE_SIDES[side];
+    const flipped = placeOnSide(anchor, floating, oppositeSide, alignment, offset);
+
+    if (sideOverflow(flipped, floating, boundary, oppositeSide) < sideOverflow(position, floating, boundary, side)) {
+      side = oppositeSide;
+      position = flipped;
+    }
+  }
+
+  const vertical = side === "top" || side === "bottom";
+
+  if (shift) {
+    if (vertical) {
+      position.x = clamp(position.x, boundary.left, boundary.right - floating.width);
+    } else {
+      position.y = clamp(position.y, boundary.top, boundary.bottom - floating.height);
+    }
+  }
+
+  let arrowPosition = null;
+  if (arrow) {
+    // The arrow points at the anchor's center, but never past the floating element's edges
+    arrowPosition = vertical
+      ? { x: clamp(anchor.left + anchor.width / 2 - position.x - arrow.width / 2, 0, floating.width - arrow.width), y: null }
+      : { x: null, y: clamp(anchor.top + anchor.height / 2 - position.y - arrow.height / 2, 0, floating.height - arrow.height) };
+    arrowPosition.side = OPPOSITE_SIDES[side];
+  }
+
+  return { x: position.x, y: position.y, placement: formatPlacement(side, alignment), arrow: arrowPosition };
+}
+
+/**
+ * FloatingFeature
+ * Positions a floating element, like a dropdown, tooltip or popover, next to an anchor while the
+ * host is `open`. The floating element is fixed to the viewport and hidden while closed.
+ *
+ * - `config.anchor`, `config.floating`, `config.arrow` and `config.boundary` are selectors queried in
+ *   the host's render root and then its light DOM, functions called with the host, or elements.
+ *   The anchor defaults to the host, and the boundary to the viewport.
+ * - `config.offset` is the distance from the anchor, and `config.padding` the distance kept from the boundary
+ * - `config.flip` and `config.shift` keep the floating element within the boundary
+ * - `config.closeOnOutsideClick` and `config.closeOnEscape` close it; a `floating-dismiss` listener
+ *   can call preventDefault to keep it open
+ *
+ * The `placement` property is the requested placement, e.g. "bottom-start". The placement used after
+ * flipping is set as `data-placement` on the floating element, and the arrow gets its `left` or `top`.
+ * The position is updated when the host updates, and on scroll and resize while open.
+ */
+export class FloatingFeature extends AuroFeature {
+
+  static get properties() {
+    return {
+      open: { type: Boolean, reflect: true },
+      placement: { type: String, reflect: true }
+    };
+  }
+
+  static get configSchema() {
+    return {
+      anchor: { type: [String, Function, Element] },
+      floating: { type: [String, Function, Element] },
+      arrow: { type: [String, Function, Element] },
+      boundary: { type: [String, Function, Element] },
+      offset: { type: Number, default: 8 },
+      padding: { type: Number, default: 8 },
+      flip: { type: Boolean, default: true },
+      shift: { type: Boolean, default: true },
+      closeOnOutsideClick: { type: Boolean, default: false },
+      closeOnEscape: { type: Boolean, default: false }
+    };
+  }
+
+  // Exposed on the host as host.updatePosition()
+  static get methods() {
+    return ["updatePosition"];
+  }
+
+  static get events() {
+    return { "floating-dismiss": { cancelable: true } };
+  }
+
+  // Last computed position, from computePosition
+  position = null;
+
+  // Removes the listeners and observers added while open
+  _stopTracking = null;
+
+  constructor(host, config) {
+    super(host, config);
+    this._setDefaults();
+  }
+
+  _setDefaults() {
+    if (this.open === undefined) this.open = false;
+    if (this.placement === undefined) this.placement = "bottom";
+  }
+
+  get anchorElement() {
+    return this.config.anchor ? this.resolveElement(this.config.anchor) : this.host;
+  }
+
+  get floatingElement() {
+    return this.resolveElement(this.config.floating);
+  }
+
+  _getBoundary() {
+    const boundaryElement = this.resolveElement(this.config.boundary);
+    const rect = boundaryElement
+      ? boundaryElement.getBoundingClientRect()
+      : { top: 0, left: 0, right: window.innerWidth, bottom: window.innerHeight };
+    const { padding } = this.config;
+
+    return { top: rect.top + padding, left: rect.left + padding, right: rect.right - padding, bottom: rect.bottom - padding };
+  }
+
+  /**
+   * Positions the floating element next to the anchor
+   * @returns {Object|null} The position, or null if the host is closed or an element is missing
+   */
+  updatePosition() {
+    const anchor = this.anchorElement;
+    const floating = this.floatingElement;
+    if (!this.open || !anchor || !floating) return null;
+
+    const arrow = this.resolveElement(this.config.arrow);
+
+    this.position = computePosition({
+      anchor: anchor.getBoundingClientRect(),
+      floating: floating.getBoundingClientRect(),
+      boundary: this._getBoundary(),
+      placement: parsePlacement(this.placement) ? this.placement : "bottom",
+      offset: this.config.offset,
+      flip: this.config.flip,
+      shift: this.config.shift,
+      arrow: arrow ? arrow.getBoundingClientRect() : null
+    });
+
+    Object.assign(floating.style, { position: "fixed", left: `${this.position.x}px`, top: `${this.position.y}px` });
+    floating.dataset.placement = this.position.placement;
+
+    if (arrow) {
+      const { x, y, side } = this.position.arrow;
+      Object.assign(arrow.style, { left: x === null ? "" : `${x}px`, top: y === null ? "" : `${y}px` });
+      arrow.dataset.side = side;
+    }
+
+    return this.position;
+  }
+
+  /**
+   * Closes the host unless a `floating-dismiss` listener calls preventDefault
+   * @param {string} reason - "outside-click" or "escape"
+   */
+  dismiss(reason) {
+    if (this.emit("floating-dismiss", { reason })) {
+      this.open = false;
+    }
+  }
+
+  _startTracking() {
+    const update = () => this.updatePosition();
+    const stops = [
+      this.listen(window, "scroll", update, { capture: true, passive: true }),
+      this.listen(window, "resize", update)
+    ];
+
+    [this.anchorElement, this.floatingElement].forEach(target => {
+      if (target && typeof ResizeObserver === "function") stops.push(this.observe(ResizeObserver, update, { target }));
+    });
+
+    if (this.config.closeOnOutsideClick) {
+      stops.push(this.listen(document, "pointerdown", event => {
+        const path = event.composedPath();
+        if (![this.host, this.anchorElement, this.floatingElement].some(element => element && path.includes(element))) {
+          this.dismiss("outside-click");
+        }
+      }, { capture: true }));
+    }
+
+    if (this.config.closeOnEscape) {
+      stops.push(this.listen(document, "keydown", event => {
+        if (event.key === "Escape") this.dismiss("escape");
+      }));
+    }
+
+    this._stopTracking = () => stops.forEach(stop => stop());
+  }
+
+  _stopTrackingIfActive() {
+    if (!this._stopTracking) return;
+
+    this._stopTracking();
+    this._stopTracking = null;
+  }
+
+  willUpdate(changedProperties) {
+    super.willUpdate(changedProperties);
+
+    if (changedProperties.has("placement") && !parsePlacement(this.placement)) {
+      console.warn(`Feature Warning: '${this.placement}' is not a valid placement on <${this.host.localName}>. Use a side (${SIDES.join(", ")}), optionally followed by -start or -end. Using 'bottom'.`);
+    }
+  }
+
+  // Runs after render, so the floating element exists and can be measured
+  updated(changedProperties) {
+    super.updated(changedProperties);
+
+    const floating = this.floatingElement;
+    if (floating) floating.hidden = !this.open;
+
+    if (changedProperties.has("open")) {
+      this._stopTrackingIfActive();
+      if (this.open) this._startTracking();
+    }
+
+    if (this.open) this.updatePosition();
+  }
+
+  configChanged(oldConfig, newConfig) {
+    super.configChanged(oldConfig, newConfig);
+
+    // Tracking depends on the elements and dismiss options, so it starts over with the new config
+    if (this._stopTracking) {
+      this._stopTrackingIfActive();
+      this._startTracking();
+    }
+    this.requestUpdate();
+  }
+}
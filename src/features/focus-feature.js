@@ -7,6 +7,14 @@ export class FocusFeature extends AuroFeature {
     this._init();
   }
 
+  static get configSchema() {
+    return {
+      makeHostFocusable: { type: Boolean, default: false },
+      onFocus: { type: Function },
+      onBlur: { type: Function }
+    };
+  }
+
   static get properties() {
     return {
       hasFocus: { type: Boolean, attribute: "hasFocus", reflect: true }
@@ -34,14 +42,26 @@ export class FocusFeature extends AuroFeature {
     }
   }
 
+  configChanged(oldConfig, newConfig) {
+    super.configChanged(oldConfig, newConfig);
+
+    if (oldConfig.makeHostFocusable !== newConfig.makeHostFocusable) {
+      if (newConfig.makeHostFocusable) {
+        this._setHostFocusable();
+      } else {
+        this.host.removeAttribute('tabindex');
+      }
+    }
+  }
+
   _addEventListeners() {
-    
-    this.host.addEventListener('focus', () => {
+    // Managed listeners are removed when the host disconnects and added again when it reconnects
+    this.listen(this.host, 'focus', () => {
       this.hasFocus = true;
       this._onFocusCallback();
     });
 
-    this.host.addEventListener('blur', () => {
+    this.listen(this.host, 'blur', () => {
       this.hasFocus = false;
       this._onBlurCallback();
     });
@@ -0,0 +1,226 @@
+import { AuroFeature } from "../root/auro-feature";
+
+// Elements that can take focus with the Tab key, unless they are disabled or have a negative tabindex
+const TABBABLE_SELECTOR = [
+  "a[href]", "area[href]", "button", "input:not([type=\"hidden\"])", "select", "textarea", "iframe",
+  "audio[controls]", "video[controls]", "summary", "[contenteditable]:not([contenteditable=\"false\"])", "[tabindex]"
+].join(", ");
+
+// Active traps, most recently activated last. Only the last one handles keys and focus.
+const activeTraps = [];
+
+// The focused element, looking inside open shadow roots
+function deepActiveElement() {
+  let active = document.activeElement;
+
+  while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+    active = active.shadowRoot.activeElement;
+  }
+
+  return active;
+}
+
+function isTabbable(element) {
+  return element.matches(TABBABLE_SELECTOR) && !element.disabled && element.tabIndex >= 0;
+}
+
+// Collects the tabbable elements under a node in tree order, descending into open shadow roots
+// and from slots into their assigned elements. Hidden and inert subtrees are skipped.
+function collectTabbables(node, found = []) {
+  const children = node.localName === "slot" ? node.assignedElements({ flatten: true }) : [...node.children];
+
+  children.forEach(child => {
+    if (child.hidden || child.inert || child.hasAttribute("inert")) return;
+
+    if (isTabbable(child)) found.push(child);
+    collectTabbables(child.shadowRoot || child, found);
+  });
+
+  return found;
+}
+
+/**
+ * FocusTrapFeature
+ * Keeps keyboard focus inside a container while active, e.g. for dialogs and drawers. Works across
+ * shadow roots: tabbable elements are found in the container's shadow tree and in slotted content.
+ *
+ * - `config.container` is the element to trap focus in: a selector queried in the host's render root
+ *   and then its light DOM, a function called with the host, or an element. Defaults to the host.
+ * - `config.initialFocus` is the element focused on activation, given the same way, or false to leave
+ *   focus where it is. Defaults to the first tabbable element.
+ * - `config.returnFocus` focuses the element that had focus before activation when the trap is released.
+ * - `config.escapeDeactivates` releases the trap on Escape, unless a `focus-trap-escape` listener
+ *   calls preventDefault.
+ * - `config.active` activates the trap after the first update, or when the config changes.
+ *
+ * Traps stack: activating a trap suspends the one that was active until the new one is released.
+ */
+export class FocusTrapFeature extends AuroFeature {
+
+  static get configSchema() {
+    return {
+      container: { type: [String, Function, Element] },
+      initialFocus: { type: [String, Function, Element, Boolean] },
+      returnFocus: { type: Boolean, default: true },
+      escapeDeactivates: { type: Boolean, default: true },
+      active: { type: Boolean, default: false }
+    };
+  }
+
+  // Exposed on the host as host.trapFocus() and host.releaseFocus()
+  static get methods() {
+    return { trapFocus: "activate", releaseFocus: "deactivate" };
+  }
+
+  static get events() {
+    return {
+      "focus-trap-activated": {},
+      "focus-trap-released": {},
+      "focus-trap-escape": { cancelable: true }
+    };
+  }
+
+  // Removes the listeners added on activation
+  _stopListening = null;
+
+  // Element that had focus before activation
+  _returnTo = null;
+
+  get isActive() {
+    return activeTraps.includes(this);
+  }
+
+  get isTopTrap() {
+    return activeTraps[activeTraps.length - 1] === this;
+  }
+
+  get container() {
+    return this.config.container ? this.resolveElement(this.config.container) : this.host;
+  }
+
+  /**
+   * Returns the tabbable elements in the container, in tree order
+   * @returns {Array<Element>}
+   */
+  getTabbables() {
+    const container = this.container;
+    if (!container) return [];
+
+    return collectTabbables(container.shadowRoot || container);
+  }
+
+  /**
+   * Traps focus in the container and moves focus to the initial element once the host has updated
+   * @returns {Promise<void>} Resolves after focus moved
+   */
+  activate() {
+    if (this.isActive) return Promise.resolve();
+
+    this._returnTo = deepActiveElement();
+    activeTraps.push(this);
+
+    const removeKeydown = this.listen(document, "keydown", event => this._onKeydown(event));
+    const removeFocusin = this.listen(document, "focusin", event => this._onFocusin(event));
+    this._stopListening = () => {
+      removeKeydown();
+      removeFocusin();
+    };
+
+    this.emit("focus-trap-activated");
+
+    return this.host.updateComplete.then(() => {
+      if (this.isTopTrap) this._focusInitial();
+    });
+  }
+
+  /**
+   * Releases the trap and, if configured, returns focus to where it was before activation
+   */
+  deactivate() {
+    if (!this.isActive) return;
+
+    activeTraps.splice(activeTraps.indexOf(this), 1);
+    this._stopListening();
+    this._stopListening = null;
+
+    const returnTo = this._returnTo;
+    this._returnTo = null;
+
+    if (this.config.returnFocus && returnTo && returnTo.isConnected) {
+      returnTo.focus();
+    }
+
+    this.emit("focus-trap-released");
+  }
+
+  _focusInitial() {
+    const { initialFocus } = this.config;
+    if (initialFocus === false) return;
+
+    const target = initialFocus && initialFocus !== true ? this.resolveElement(initialFocus) : this.getTabbables()[0];
+    (target || this.container).focus();
+  }
+
+  _onKeydown(event) {
+    if (!this.isTopTrap) return;
+
+    if (event.key === "Escape") {
+      if (this.emit("focus-trap-escape") && this.config.escapeDeactivates) {
+        this.deactivate();
+      }
+      return;
+    }
+
+    if (event.key !== "Tab") return;
+
+    const tabbables = this.getTabbables();
+    if (!tabbables.length) {
+      event.preventDefault();
+      return;
+    }
+
+    const index = tabbables.indexOf(deepActiveElement());
+    const first = tabbables[0];
+    const last = tabbables[tabbables.length - 1];
+
+    // Let the browser move focus within the container, and wrap around at its ends
+    if (event.shiftKey && index <= 0) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (index === -1 || index === tabbables.length - 1)) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Pulls focus back when it lands outside the container, e.g. after a click
+  _onFocusin(event) {
+    if (!this.isTopTrap) return;
+
+    const container = this.container;
+    if (!container || event.composedPath().includes(container)) return;
+
+    (this.getTabbables()[0] || container).focus();
+  }
+
+  firstUpdated() {
+    if (this.config.active) this.activate();
+  }
+
+  configChanged(oldConfig, newConfig) {
+    super.configChanged(oldConfig, newConfig);
+
+    if (oldConfig.active === newConfig.active || !this.host.hasUpdated) return;
+
+    if (newConfig.active) {
+      this.activate();
+    } else {
+      this.deactivate();
+    }
+  }
+
+  // A disconnected host can't hold focus, so its trap is released
+  disconnectedCallback() {
+    this.deactivate();
+  }
+}
@@ -0,0 +1,214 @@
+import { AuroFeature } from "../root/auro-feature";
+
+// ElementInternals per host. attachInternals can only be called once per element, and the feature
+// may be created again for the same host, e.g. when it is disabled and enabled at runtime.
+const hostInternals = new WeakMap();
+
+// Messages for the validity flags, used when a validator doesn't return its own message
+const DEFAULT_MESSAGES = {
+  valueMissing: "Please fill out this field.",
+  typeMismatch: "Please enter a valid value.",
+  patternMismatch: "Please match the requested format.",
+  tooLong: "Please shorten this text.",
+  tooShort: "Please lengthen this text.",
+  rangeUnderflow: "Please enter a higher value.",
+  rangeOverflow: "Please enter a lower value.",
+  stepMismatch: "Please enter a valid value.",
+  badInput: "Please enter a valid value.",
+  customError: "Please enter a valid value."
+};
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "" || (Array.isArray(value) && !value.length);
+}
+
+// Converts a host value to what setFormValue accepts: a string, File, FormData or null
+function defaultToFormValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "string" || value instanceof File || value instanceof FormData) return value;
+  return String(value);
+}
+
+/**
+ * FormAssociatedFeature
+ * Lets a component take part in native forms through ElementInternals: its value is submitted
+ * with the form under its `name`, it resets and restores with the form, and it has validity.
+ *
+ * - `config.valueProperty` names the host property that holds the value, "value" by default.
+ *   The component declares that property itself.
+ * - `config.toFormValue(value, host)` converts the value for the form; strings, Files and FormData
+ *   are submitted as they are, and other values as strings.
+ * - `config.validators` maps names to functions called with `(value, host)` on every update, unless the
+ *   value is empty. A validator returns a message, or true, when the value is invalid. Validators
+ *   named after a ValidityState flag, like `tooShort`, set that flag; others set `customError`.
+ * - `config.validationAnchor` is a selector in the render root for the element the browser points
+ *   validation messages at.
+ *
+ * `required` adds a `valueMissing` check for empty values. The first failing check sets `validationMessage`.
+ */
+export class FormAssociatedFeature extends AuroFeature {
+
+  static get formAssociated() {
+    return true;
+  }
+
+  static get properties() {
+    return {
+      name: { type: String, reflect: true },
+      required: { type: Boolean, reflect: true },
+      disabled: { type: Boolean, reflect: true },
+      validationMessage: { type: String, attribute: false }
+    };
+  }
+
+  static get configSchema() {
+    return {
+      valueProperty: { type: String, default: "value" },
+      toFormValue: { type: Function },
+      validators: { type: Object, default: {} },
+      validationAnchor: { type: String }
+    };
+  }
+
+  // Exposed on the host, like the methods of native form controls
+  static get methods() {
+    return ["checkValidity", "reportValidity", "setCustomValidity"];
+  }
+
+  // Whether an ancestor fieldset or the host's `disabled` attribute disables the host
+  formDisabled = false;
+
+  // Message set with setCustomValidity
+  _customValidity = "";
+
+  // Value the host had at its first update, restored when the form resets
+  _defaultValue = undefined;
+  _hasDefaultValue = false;
+
+  constructor(host, config) {
+    super(host, config);
+    this.internals = this._attachInternals();
+  }
+
+  _attachInternals() {
+    if (hostInternals.has(this.host)) return hostInternals.get(this.host);
+
+    if (!this.host.constructor.formAssociated || typeof this.host.attachInternals !== "function") {
+      console.warn(`Feature Warning: FormAssociatedFeature needs a form-associated host, but <${this.host.localName}> isn't one. \nEnable the feature in static features, so the component is defined as form-associated.`);
+      return null;
+    }
+
+    const internals = this.host.attachInternals();
+    hostInternals.set(this.host, internals);
+    return internals;
+  }
+
+  get value() {
+    return this.host[this.config.valueProperty];
+  }
+
+  get form() {
+    return this.internals ? this.internals.form : null;
+  }
+
+  get validity() {
+    return this.internals ? this.internals.validity : null;
+  }
+
+  /**
+   * Submits the current value with the form
+   */
+  syncFormValue() {
+    if (!this.internals) return;
+
+    const toFormValue = this.config.toFormValue || defaultToFormValue;
+    const formValue = toFormValue(this.value, this.host);
+    this.internals.setFormValue(formValue, formValue);
+  }
+
+  /**
+   * Runs the required check, the validators and the custom validity message, and sets the
+   * host's validity and `validationMessage` from them. Like native controls, a disabled host
+   * is left out of validation and always valid.
+   * @returns {boolean} Whether the value is valid
+   */
+  validate() {
+    const flags = {};
+    let message = "";
+
+    const fail = (flag, result) => {
+      flags[flag] = true;
+      if (!message) message = typeof result === "string" && result ? result : DEFAULT_MESSAGES[flag];
+    };
+
+    if (!this.disabled && !this.formDisabled) {
+      if (this.required && isEmpty(this.value)) fail("valueMissing");
+
+      // Like native constraints, validators only check values that aren't empty
+      Object.entries(this.config.validators || {}).forEach(([name, validator]) => {
+        if (typeof validator !== "function" || isEmpty(this.value)) return;
+
+        const result = validator(this.value, this.host);
+        if (result) fail(name in DEFAULT_MESSAGES ? name : "customError", result);
+      });
+
+      if (this._customValidity) fail("customError", this._customValidity);
+    }
+
+    if (this.internals) {
+      const { renderRoot } = this.host;
+      const anchor = this.config.validationAnchor && renderRoot ? renderRoot.querySelector(this.config.validationAnchor) : undefined;
+      this.internals.setValidity(flags, message, anchor || undefined);
+    }
+
+    if (this.validationMessage !== message) this.validationMessage = message;
+    return !message;
+  }
+
+  checkValidity() {
+    return this.internals ? this.internals.checkValidity() : this.validate();
+  }
+
+  reportValidity() {
+    return this.internals ? this.internals.reportValidity() : this.validate();
+  }
+
+  /**
+   * Sets a custom validation message, like `setCustomValidity` on native form controls
+   * @param {string} message - The message, or an empty string to clear it
+   */
+  setCustomValidity(message) {
+    this._customValidity = message || "";
+    this.validate();
+  }
+
+  // Validating before render makes validationMessage part of the same update
+  willUpdate(changedProperties) {
+    super.willUpdate(changedProperties);
+
+    if (!this._hasDefaultValue) {
+      this._defaultValue = this.value;
+      this._hasDefaultValue = true;
+    }
+
+    if (!this.host.hasUpdated || changedProperties.has(this.config.valueProperty)) {
+      this.syncFormValue();
+    }
+
+    this.validate();
+  }
+
+  formDisabledCallback(disabled) {
+    this.formDisabled = disabled;
+    this.validate();
+  }
+
+  formResetCallback() {
+    this._customValidity = "";
+    this.host[this.config.valueProperty] = this._defaultValue;
+  }
+
+  formStateRestoreCallback(state) {
+    this.host[this.config.valueProperty] = state;
+  }
+}
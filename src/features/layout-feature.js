@@ -1,7 +1,42 @@
+import { css, html } from "lit";
 import { AuroFeature } from "../root/auro-feature";
+import { FeatureManager } from "../root/services/feature-manager";
+
+// Layout registries per component class, built on first use
+const layoutRegistries = new WeakMap();
+
+// Used when a component registers no 'default' layout, so there is always something to render
+function renderDefaultLayout() {
+  return html`<slot></slot>`;
+}
 
 export class LayoutFeature extends AuroFeature {
 
+  // Exposed on the host as host.getLayout(name)
+  static get methods() {
+    return ["getLayout"];
+  }
+
+  /**
+   * Returns the layout renderers registered by a component class and its ancestors with `static get layouts()`,
+   * keyed by layout name. Renderers are functions or names of host methods; subclasses override layouts by name.
+   * @param {Function} constructor - Component class
+   * @returns {Object} Layout renderers keyed by layout name
+   */
+  static getLayouts(constructor) {
+    if (!layoutRegistries.has(constructor)) {
+      const layouts = {};
+
+      FeatureManager.getClassChain(constructor).forEach(cls => {
+        Object.assign(layouts, FeatureManager.getOwnStatic(cls, 'layouts'));
+      });
+
+      layoutRegistries.set(constructor, layouts);
+    }
+
+    return layoutRegistries.get(constructor);
+  }
+
   constructor(host, config) {
     super(host, config);
     this.layout = config.layout || "classic";
@@ -14,6 +49,44 @@ export class LayoutFeature extends AuroFeature {
     this.updateComponentArchitecture();
   }
 
+  // Layout names are registered per component with `static get layouts()`, so they aren't listed here
+  static get configSchema() {
+    return {
+      layout: { type: String, default: "classic" },
+      shape: { type: String, enum: ["pill", "rounded", "box"], default: "pill" },
+      size: { type: String, enum: ["sm", "md", "lg", "xl"], default: "md" },
+      onDark: { type: Boolean, default: false }
+    };
+  }
+
+  // Styles for the shape classes generated in `updateShapeClasses`, merged into the host's styles.
+  // Pick `styleVariant: 'none'` in the config to ship your own shape styles instead.
+  static get styles() {
+    return {
+      default: css`
+        [class*='shape-'] {
+          box-sizing: border-box;
+        }
+
+        .shape-pill-sm { min-height: 36px; border-radius: 18px; }
+        .shape-pill-md { min-height: 48px; border-radius: 24px; }
+        .shape-pill-lg { min-height: 56px; border-radius: 28px; }
+        .shape-pill-xl { min-height: 72px; border-radius: 36px; }
+
+        .shape-rounded-sm { min-height: 36px; border-radius: 4px; }
+        .shape-rounded-md { min-height: 48px; border-radius: 6px; }
+        .shape-rounded-lg { min-height: 56px; border-radius: 8px; }
+        .shape-rounded-xl { min-height: 72px; border-radius: 12px; }
+
+        .shape-box-sm { min-height: 36px; border-radius: 0; }
+        .shape-box-md { min-height: 48px; border-radius: 0; }
+        .shape-box-lg { min-height: 56px; border-radius: 0; }
+        .shape-box-xl { min-height: 72px; border-radius: 0; }
+      `,
+      none: []
+    };
+  }
+
   static get properties() {
     return {
       layout: {
@@ -90,13 +163,49 @@ export class LayoutFeature extends AuroFeature {
     }
   }
 
+  /**
+   * Whether the host's class registers a layout under the given name
+   * @param {string} name - Layout name
+   * @returns {boolean}
+   */
+  hasLayout(name) {
+    return Object.prototype.hasOwnProperty.call(LayoutFeature.getLayouts(this.host.constructor), name);
+  }
+
+  /**
+   * Returns the renderer for a layout, bound to the host.
+   * Falls back to the 'default' layout, and to a plain slot if the component registers no default.
+   * @param {string} [name] - Layout name, the current layout by default
+   * @returns {Function} Renderer returning the layout's template
+   */
+  getLayout(name = this.layout) {
+    const layouts = LayoutFeature.getLayouts(this.host.constructor);
+    const renderer = (this.hasLayout(name) && layouts[name]) || layouts.default || renderDefaultLayout;
+
+    return typeof renderer === 'string' ? this.host[renderer].bind(this.host) : renderer.bind(this.host);
+  }
+
+  // Warns when the layout attribute names a layout the component doesn't register.
+  // Components with at most a 'default' layout render it for any layout, so they aren't checked.
+  validateLayout() {
+    const names = Object.keys(LayoutFeature.getLayouts(this.host.constructor));
+
+    if (this.layout && names.some(name => name !== 'default') && !this.hasLayout(this.layout)) {
+      console.warn(`Feature Warning: Layout '${this.layout}' is not registered on <${this.host.localName}>. \nRegistered layouts: ${names.join(', ')}. Rendering the default layout.`);
+    }
+  }
+
   updateComponentArchitecture() {
     this.updateLayoutClasses();
     this.updateShapeClasses();
   }
 
-  updated(changedProperties) {
-    super.updated(changedProperties);
+  // Runs before render, so updated layoutClasses are part of the same update instead of causing another one
+  willUpdate(changedProperties) {
+    super.willUpdate(changedProperties);
+    if (changedProperties.has('layout')) {
+      this.validateLayout();
+    }
     if (changedProperties.has('layout') || changedProperties.has('shape') || changedProperties.has('size')) {
       this.updateComponentArchitecture();
     }
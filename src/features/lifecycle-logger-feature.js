@@ -1,20 +1,104 @@
 import { AuroFeature } from "../root/auro-feature";
 
+// Hooks the logger can record; hooks that decide something, like shouldUpdate, are left out
+const LOGGABLE_HOOKS = [
+  "beforeConnectedCallback", "connectedCallback", "afterConnectedCallback",
+  "beforeDisconnectedCallback", "disconnectedCallback", "afterDisconnectedCallback",
+  "beforeWillUpdate", "willUpdate", "afterWillUpdate",
+  "beforeUpdate", "update", "afterUpdate",
+  "beforeFirstUpdated", "firstUpdated", "afterFirstUpdated",
+  "beforeUpdated", "updated", "afterUpdated",
+  "beforeAttributeChangedCallback", "attributeChangedCallback", "afterAttributeChangedCallback",
+  "formAssociatedCallback", "formDisabledCallback", "formResetCallback", "formStateRestoreCallback"
+];
+
 /**
  * LifecycleLoggerFeature
- * Logs lifecycle events for demonstration/documentation.
+ * Records the host's lifecycle for demonstration/documentation and debugging.
+ *
+ * `config.hooks` picks the hooks to record, e.g. `{ willUpdate: true, updated: false }`. It is an
+ * object rather than a list so that configs from the class chain and the instance merge per hook.
+ *
+ * Each recorded hook produces a structured record:
+ *   { hook, host, time, changedProperties, attribute }
+ * `changedProperties` lists the names of changed properties for update hooks, and `attribute`
+ * is `{ name, oldValue, newValue }` for attribute hooks.
+ *
+ * Records go to `config.onRecord`, or to the console by default, and are dispatched as a
+ * `lifecycle-record` event on the host when `config.dispatch` is true.
  */
 export class LifecycleLoggerFeature extends AuroFeature {
-  connectedCallback() {
-    console.log(`[LifecycleLoggerFeature] connectedCallback on`, this.host);
+
+  static get configSchema() {
+    return {
+      hooks: { type: Object, default: { connectedCallback: true, disconnectedCallback: true, firstUpdated: true, updated: true } },
+      onRecord: { type: Function },
+      dispatch: { type: Boolean, default: false }
+    };
+  }
+
+  static get events() {
+    return { "lifecycle-record": { bubbles: false, composed: false } };
   }
-  disconnectedCallback() {
-    console.log(`[LifecycleLoggerFeature] disconnectedCallback on`, this.host);
+
+  constructor(host, config) {
+    super(host, config);
+
+    const unknown = Object.keys(config.hooks || {}).filter(hook => !LOGGABLE_HOOKS.includes(hook));
+    if (unknown.length) {
+      console.warn(`Feature Warning: LifecycleLoggerFeature can't record ${unknown.join(", ")}. Recordable hooks: ${LOGGABLE_HOOKS.join(", ")}.`);
+    }
   }
-  firstUpdated() {
-    console.log(`[LifecycleLoggerFeature] firstUpdated on`, this.host);
+
+  /**
+   * Creates a structured record of a hook call
+   * @param {string} hook - Name of the hook
+   * @param {Array} args - Arguments the hook was called with
+   * @returns {Object} The record
+   */
+  createRecord(hook, args) {
+    const record = { hook, host: this.host, time: performance.now() };
+
+    if (args[0] instanceof Map) {
+      record.changedProperties = [...args[0].keys()];
+    }
+
+    if (hook.toLowerCase().includes("attributechanged")) {
+      const [name, oldValue, newValue] = args;
+      record.attribute = { name, oldValue, newValue };
+    }
+
+    return record;
   }
-  updated() {
-    console.log(`[LifecycleLoggerFeature] updated on`, this.host);
+
+  /**
+   * Records a hook call if it is one of the configured hooks
+   * @param {string} hook - Name of the hook
+   * @param {Array} args - Arguments the hook was called with
+   */
+  record(hook, args) {
+    if (!(this.config.hooks || {})[hook]) return;
+
+    const record = this.createRecord(hook, args);
+
+    if (typeof this.config.onRecord === "function") {
+      this.config.onRecord(record);
+    } else {
+      console.log(`[LifecycleLoggerFeature] ${hook} on <${this.host.localName}>`, record);
+    }
+
+    if (this.config.dispatch) {
+      this.emit("lifecycle-record", record);
+    }
   }
-}
\ No newline at end of file
+}
+
+// Every loggable hook records itself, then runs the base implementation if there is one
+LOGGABLE_HOOKS.forEach(hook => {
+  LifecycleLoggerFeature.prototype[hook] = function(...args) {
+    this.record(hook, args);
+
+    const base = AuroFeature.prototype[hook];
+    return typeof base === "function" ? base.apply(this, args) : undefined;
+  };
+});
@@ -0,0 +1,156 @@
+import { AuroFeature } from "../root/auro-feature";
+
+/**
+ * ResponsiveFeature
+ * Sets host properties from the host's own width, like container queries for properties. It drives
+ * other features' properties, e.g. the Layout feature's `layout`, `size` and `shape`.
+ *
+ * `config.breakpoints` maps minimum widths in pixels to property values:
+ *   { 0: { size: "sm" }, 600: { size: "md", layout: "classic" } }
+ * Breakpoints cascade from the smallest up, so at 700px the host gets both `size: "md"` and
+ * `layout: "classic"`. When a breakpoint no longer sets a property, it gets back the value it had
+ * before the feature first set it. The `breakpoint` property holds the minimum width of the active
+ * breakpoint, or null when the host is narrower than all of them.
+ *
+ * Properties are set with `setHostProperty`, so attributes in the markup and values set directly on
+ * the host win over breakpoints. `config.box` picks the box that is measured.
+ */
+export class ResponsiveFeature extends AuroFeature {
+
+  static get properties() {
+    return {
+      breakpoint: { type: Number, reflect: true }
+    };
+  }
+
+  static get configSchema() {
+    return {
+      breakpoints: { type: Object, default: {} },
+      box: { type: String, enum: ["content-box", "border-box"], default: "content-box" }
+    };
+  }
+
+  static get events() {
+    return ["breakpoint-change"];
+  }
+
+  // Values properties had before the feature first set them, restored when no breakpoint sets them
+  _baseline = new Map();
+
+  // Stops the ResizeObserver
+  _stopObserving = null;
+
+  constructor(host, config) {
+    super(host, config);
+
+    this._warnInvalidBreakpoints();
+    this._observe();
+  }
+
+  _observe() {
+    if (typeof ResizeObserver !== "function") return;
+
+    this._stopObserving = this.observe(ResizeObserver, entries => {
+      this.applyWidth(this._measure(entries[entries.length - 1]));
+    }, { options: { box: this.config.box } });
+  }
+
+  _measure(entry) {
+    if (this.config.box === "border-box" && entry.borderBoxSize && entry.borderBoxSize[0]) {
+      return entry.borderBoxSize[0].inlineSize;
+    }
+
+    return entry.contentRect.width;
+  }
+
+  _warnInvalidBreakpoints() {
+    const declared = this.host.constructor.elementProperties;
+
+    Object.entries(this.config.breakpoints || {}).forEach(([minWidth, values]) => {
+      if (Number.isNaN(Number(minWidth)) || typeof values !== "object" || values === null) {
+        console.warn(`Feature Warning: ResponsiveFeature breakpoint '${minWidth}' on <${this.host.localName}> is ignored. \nKey breakpoints by minimum width in pixels, with an object of property values, e.g. { 600: { size: "md" } }.`);
+        return;
+      }
+
+      const unknown = Object.keys(values).filter(propName => !declared.has(propName));
+      if (unknown.length) {
+        console.warn(`Feature Warning: ResponsiveFeature breakpoint '${minWidth}' on <${this.host.localName}> sets ${unknown.join(", ")}, which ${unknown.length > 1 ? "aren't reactive properties" : "isn't a reactive property"} of the host. \nEnable the feature that declares ${unknown.length > 1 ? "them" : "it"}.`);
+      }
+    });
+  }
+
+  /**
+   * Returns the valid breakpoints, smallest first
+   * @returns {Array<{ minWidth: number, values: Object }>}
+   */
+  getBreakpoints() {
+    const declared = this.host.constructor.elementProperties;
+
+    return Object.entries(this.config.breakpoints || {})
+      .filter(([minWidth, values]) => !Number.isNaN(Number(minWidth)) && typeof values === "object" && values !== null)
+      .map(([minWidth, values]) => ({
+        minWidth: Number(minWidth),
+        values: Object.fromEntries(Object.entries(values).filter(([propName]) => declared.has(propName)))
+      }))
+      .sort((a, b) => a.minWidth - b.minWidth);
+  }
+
+  /**
+   * Makes the breakpoint for a width active
+   * Called with the measured width on every resize; call it directly to test breakpoints.
+   * @param {number} width - Width of the host in pixels
+   */
+  applyWidth(width) {
+    const matching = this.getBreakpoints().filter(({ minWidth }) => minWidth <= width);
+    const breakpoint = matching.length ? matching[matching.length - 1].minWidth : null;
+
+    if (breakpoint === this.breakpoint) return;
+
+    this.breakpoint = breakpoint;
+    this.emit("breakpoint-change", { breakpoint, width });
+  }
+
+  /**
+   * Returns the property values of the active breakpoint, cascaded from the smaller breakpoints
+   * @returns {Object}
+   */
+  getActiveValues() {
+    if (this.breakpoint === null || this.breakpoint === undefined) return {};
+
+    return Object.assign({}, ...this.getBreakpoints()
+      .filter(({ minWidth }) => minWidth <= this.breakpoint)
+      .map(({ values }) => values));
+  }
+
+  // Applies the values before other features' willUpdate, so they are part of the same update.
+  // It runs on every update, so a property whose attribute is removed gets its breakpoint value again.
+  beforeWillUpdate() {
+    const values = this.getActiveValues();
+
+    Object.entries(values).forEach(([propName, value]) => {
+      if (this.host[propName] === value) return;
+      if (!this._baseline.has(propName)) this._baseline.set(propName, this.host[propName]);
+
+      this.setHostProperty(propName, value);
+    });
+
+    this._baseline.forEach((value, propName) => {
+      if (propName in values) return;
+
+      this.setHostProperty(propName, value);
+      this._baseline.delete(propName);
+    });
+  }
+
+  configChanged(oldConfig, newConfig) {
+    super.configChanged(oldConfig, newConfig);
+    this._warnInvalidBreakpoints();
+
+    if (oldConfig.box !== newConfig.box && this._stopObserving) {
+      this._stopObserving();
+      this._observe();
+    }
+
+    this.requestUpdate();
+  }
+}
@@ -0,0 +1,224 @@
+import { AuroFeature } from "../root/auro-feature";
+
+// Keys that move to the previous and next item, per orientation
+const ARROW_KEYS = {
+  horizontal: { previous: ["ArrowLeft"], next: ["ArrowRight"] },
+  vertical: { previous: ["ArrowUp"], next: ["ArrowDown"] },
+  both: { previous: ["ArrowLeft", "ArrowUp"], next: ["ArrowRight", "ArrowDown"] }
+};
+
+function isDisabled(item) {
+  return item.hasAttribute("disabled") || item.getAttribute("aria-disabled") === "true";
+}
+
+// Text typeahead matches against
+function itemLabel(item) {
+  return (item.getAttribute("aria-label") || item.textContent).trim().toLowerCase();
+}
+
+/**
+ * RovingTabindexFeature
+ * Makes a group of items a single tab stop, for menus, listboxes, toolbars and tabs. The active item
+ * has tabindex 0 and the others -1, and the keyboard moves focus between items.
+ *
+ * Items are the elements assigned to the slot named `config.slot` ("" for the default slot), or the
+ * elements matching the `config.items` selector in the host's light DOM and render root. With both,
+ * the selector picks the items among the assigned elements and their descendants. Items that are
+ * `disabled` or `aria-disabled="true"` keep tabindex -1 and are skipped.
+ *
+ * - `config.orientation` picks the arrow keys: "horizontal", "vertical" or "both"
+ * - `config.wrap` moves from the last item to the first and back
+ * - `config.homeEnd` moves to the first and last item with Home and End
+ * - `config.typeahead` moves to the next item whose label starts with the typed characters;
+ *   characters typed within `config.typeaheadTimeout` milliseconds are combined
+ *
+ * Items are collected again on every update, on slotchange and on every key press.
+ */
+export class RovingTabindexFeature extends AuroFeature {
+
+  static get configSchema() {
+    return {
+      items: { type: String },
+      slot: { type: String },
+      orientation: { type: String, enum: ["horizontal", "vertical", "both"], default: "vertical" },
+      wrap: { type: Boolean, default: true },
+      homeEnd: { type: Boolean, default: true },
+      typeahead: { type: Boolean, default: true },
+      typeaheadTimeout: { type: Number, default: 500 }
+    };
+  }
+
+  // Exposed on the host as host.focusItem()
+  static get methods() {
+    return ["focusItem"];
+  }
+
+  static get events() {
+    return ["roving-tabindex-change"];
+  }
+
+  // The item with tabindex 0
+  activeItem = null;
+
+  // Characters typed for typeahead, and the function that cancels clearing them
+  _typeahead = "";
+  _cancelTypeaheadReset = null;
+
+  constructor(host, config) {
+    super(host, config);
+
+    this.listen(this.host, "keydown", event => this._onKeydown(event));
+    this.listen(this.host, "focusin", event => this._onFocusin(event));
+  }
+
+  /**
+   * Returns all items, including disabled ones, in tree order
+   * @returns {Array<Element>}
+   */
+  getItems() {
+    const { items: selector, slot: slotName } = this.config;
+
+    if (typeof slotName === "string") {
+      const { renderRoot } = this.host;
+      const slot = renderRoot && renderRoot.querySelector(slotName ? `slot[name="${slotName}"]` : "slot:not([name])");
+      const assigned = slot ? slot.assignedElements({ flatten: true }) : [];
+
+      return selector
+        ? assigned.flatMap(element => (element.matches(selector) ? [element] : [...element.querySelectorAll(selector)]))
+        : assigned;
+    }
+
+    if (!selector) return [];
+
+    const items = [...this.host.querySelectorAll(selector)];
+    const { renderRoot } = this.host;
+    if (renderRoot && renderRoot !== this.host) items.push(...renderRoot.querySelectorAll(selector));
+
+    return items;
+  }
+
+  /**
+   * Returns the items focus can move to
+   * @returns {Array<Element>}
+   */
+  getEnabledItems() {
+    return this.getItems().filter(item => !isDisabled(item));
+  }
+
+  /**
+   * Collects the items again and updates their tabindex. Keeps the active item if it is still
+   * an enabled item, otherwise the first enabled item becomes active.
+   */
+  refresh() {
+    const items = this.getItems();
+    const enabledItems = items.filter(item => !isDisabled(item));
+
+    if (!enabledItems.includes(this.activeItem)) {
+      this.activeItem = enabledItems[0] || null;
+    }
+
+    items.forEach(item => {
+      item.tabIndex = item === this.activeItem ? 0 : -1;
+    });
+  }
+
+  /**
+   * Makes an item active and focuses it
+   * @param {Element|number} target - The item, or its index among the enabled items
+   * @returns {boolean} False if the target isn't an enabled item
+   */
+  focusItem(target) {
+    const enabledItems = this.getEnabledItems();
+    const item = typeof target === "number" ? enabledItems[target] : target;
+    if (!enabledItems.includes(item)) return false;
+
+    this._setActiveItem(item, enabledItems);
+    item.focus();
+    return true;
+  }
+
+  _setActiveItem(item, enabledItems) {
+    if (item === this.activeItem) return;
+
+    this.activeItem = item;
+    this.refresh();
+    this.emit("roving-tabindex-change", { item, index: enabledItems.indexOf(item) });
+  }
+
+  _onKeydown(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+
+    const items = this.getEnabledItems();
+    const path = event.composedPath();
+    const current = items.find(item => path.includes(item));
+    if (!current) return;
+
+    const next = this._findTarget(event.key, items, items.indexOf(current));
+    if (next === undefined) return;
+
+    event.preventDefault();
+    if (next) this.focusItem(next);
+  }
+
+  // Returns the item a key moves to, null for a handled key that doesn't move, or undefined for other keys
+  _findTarget(key, items, index) {
+    const { orientation, wrap, homeEnd, typeahead } = this.config;
+    const arrows = ARROW_KEYS[orientation] || ARROW_KEYS.vertical;
+    const last = items.length - 1;
+
+    if (arrows.next.includes(key)) {
+      return index < last ? items[index + 1] : (wrap ? items[0] : null);
+    }
+
+    if (arrows.previous.includes(key)) {
+      return index > 0 ? items[index - 1] : (wrap ? items[last] : null);
+    }
+
+    if (homeEnd && key === "Home") return items[0];
+    if (homeEnd && key === "End") return items[last];
+
+    // Space only counts as a typed character after another character, so it can still activate the item
+    if (typeahead && key.length === 1 && (key !== " " || this._typeahead)) {
+      return this._findTypeaheadMatch(key, items, index);
+    }
+
+    return undefined;
+  }
+
+  _findTypeaheadMatch(key, items, index) {
+    this._typeahead += key.toLowerCase();
+
+    if (this._cancelTypeaheadReset) this._cancelTypeaheadReset();
+    this._cancelTypeaheadReset = this.setTimeout(() => {
+      this._typeahead = "";
+      this._cancelTypeaheadReset = null;
+    }, this.config.typeaheadTimeout);
+
+    // A new search starts after the current item; a longer one may still match the current item
+    const start = this._typeahead.length === 1 ? index + 1 : index;
+    const ordered = [...items.slice(start), ...items.slice(0, start)];
+
+    return ordered.find(item => itemLabel(item).startsWith(this._typeahead)) || null;
+  }
+
+  // Focus that reaches an item another way, e.g. a click, makes it the active item
+  _onFocusin(event) {
+    const items = this.getEnabledItems();
+    const path = event.composedPath();
+    const item = items.find(candidate => path.includes(candidate));
+
+    if (item) this._setActiveItem(item, items);
+  }
+
+  firstUpdated() {
+    const { renderRoot } = this.host;
+    if (renderRoot && renderRoot !== this.host) {
+      this.listen(renderRoot, "slotchange", () => this.refresh());
+    }
+  }
+
+  updated(changedProperties) {
+    super.updated(changedProperties);
+    this.refresh();
+  }
+}
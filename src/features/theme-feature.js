@@ -0,0 +1,159 @@
+import { AuroFeature } from "../root/auro-feature";
+
+// Ancestor attributes that set the theme of their descendants
+const THEME_ATTRIBUTES = ["data-theme", "ondark"];
+
+// The parent element, stepping from a shadow root to its host
+function parentOf(element) {
+  if (element.parentElement) return element.parentElement;
+
+  const root = element.getRootNode();
+  return root && root.host ? root.host : null;
+}
+
+/**
+ * ThemeFeature
+ * Resolves the host's theme and writes it to the `theme` property, and whether it is dark to the
+ * Layout feature's `onDark` property when that is enabled. The first of these wins:
+ *
+ * 1. `theme` set explicitly on the host, through the attribute or directly
+ * 2. The closest ancestor with `data-theme` ("dark", "light" or any theme name) or `ondark`,
+ *    looking across shadow roots
+ * 3. `prefers-color-scheme`, if `config.followColorScheme` is true
+ * 4. `config.defaultTheme`
+ *
+ * The theme is resolved again when an ancestor's theme attributes or the color scheme change.
+ * `config.darkThemes` lists the themes that count as dark. `getToken(name)` reads the resolved value
+ * of a design-token custom property on the host, prefixed with `config.tokenPrefix`.
+ */
+export class ThemeFeature extends AuroFeature {
+
+  static get properties() {
+    return {
+      theme: { type: String, reflect: true }
+    };
+  }
+
+  static get configSchema() {
+    return {
+      defaultTheme: { type: String, default: "light" },
+      darkThemes: { type: Array, default: ["dark"] },
+      followColorScheme: { type: Boolean, default: true },
+      tokenPrefix: { type: String, default: "" }
+    };
+  }
+
+  // Exposed on the host as host.getToken(name)
+  static get methods() {
+    return ["getToken"];
+  }
+
+  static get events() {
+    return ["theme-change"];
+  }
+
+  // Where the current theme came from: "property", "ancestor", "color-scheme" or "default"
+  themeSource = null;
+
+  // Stops watching ancestors, which change when the host moves
+  _stopWatchingAncestors = null;
+
+  constructor(host, config) {
+    super(host, config);
+
+    if (typeof window.matchMedia === "function") {
+      this._colorScheme = window.matchMedia("(prefers-color-scheme: dark)");
+      this.listen(this._colorScheme, "change", () => this.applyTheme());
+    }
+  }
+
+  get isExplicit() {
+    const { featureManager } = this.host;
+    return Boolean(featureManager && featureManager.isPropertyExplicit("theme") && this.host.theme);
+  }
+
+  /**
+   * Works out the theme without applying it
+   * @returns {{ theme: string, source: string }}
+   */
+  resolveTheme() {
+    if (this.isExplicit) return { theme: this.host.theme, source: "property" };
+
+    for (let element = parentOf(this.host); element; element = parentOf(element)) {
+      if (element.hasAttribute("data-theme")) return { theme: element.getAttribute("data-theme"), source: "ancestor" };
+      if (element.hasAttribute("ondark")) return { theme: this.config.darkThemes[0] || "dark", source: "ancestor" };
+    }
+
+    if (this.config.followColorScheme && this._colorScheme) {
+      return { theme: this._colorScheme.matches ? "dark" : "light", source: "color-scheme" };
+    }
+
+    return { theme: this.config.defaultTheme, source: "default" };
+  }
+
+  /**
+   * Resolves the theme and writes `theme` and `onDark`
+   */
+  applyTheme() {
+    const { theme, source } = this.resolveTheme();
+    const onDark = (this.config.darkThemes || []).includes(theme);
+    const changed = theme !== this.host.theme || source !== this.themeSource;
+
+    this.themeSource = source;
+    if (this.host.theme !== theme) this.setHostProperty("theme", theme);
+
+    // onDark belongs to the Layout feature, so it is only written when that property is enabled
+    if (this.host.constructor.elementProperties.has("onDark") && this.host.onDark !== onDark) {
+      this.setHostProperty("onDark", onDark);
+    }
+
+    if (changed) this.emit("theme-change", { theme, onDark, source });
+  }
+
+  /**
+   * Reads the resolved value of a design-token custom property on the host
+   * @param {string} name - Token name, e.g. "color-text"; `config.tokenPrefix` and "--" are added
+   *   unless the name starts with "--"
+   * @param {string} [fallback] - Returned when the token isn't set
+   * @returns {string}
+   */
+  getToken(name, fallback = "") {
+    const property = name.startsWith("--") ? name : `--${this.config.tokenPrefix}${name}`;
+    const value = getComputedStyle(this.host).getPropertyValue(property).trim();
+
+    return value || fallback;
+  }
+
+  // Watches the theme attributes of the host's ancestors only, so the cost doesn't grow with the
+  // size of the page. Called again on connect, since the ancestors change when the host moves.
+  _watchAncestors() {
+    if (this._stopWatchingAncestors) this._stopWatchingAncestors();
+
+    const observer = new MutationObserver(() => this.applyTheme());
+    for (let element = parentOf(this.host); element; element = parentOf(element)) {
+      observer.observe(element, { attributes: true, attributeFilter: THEME_ATTRIBUTES });
+    }
+
+    this._stopWatchingAncestors = this.addDisposable(() => observer.disconnect());
+  }
+
+  connectedCallback() {
+    this._watchAncestors();
+    this.applyTheme();
+  }
+
+  disconnectedCallback() {
+    if (this._stopWatchingAncestors) this._stopWatchingAncestors();
+    this._stopWatchingAncestors = null;
+  }
+
+  // Setting or removing `theme` on the host resolves the theme again, before other features' willUpdate
+  beforeWillUpdate(changedProperties) {
+    if (changedProperties.has("theme")) this.applyTheme();
+  }
+
+  configChanged(oldConfig, newConfig) {
+    super.configChanged(oldConfig, newConfig);
+    this.applyTheme();
+  }
+}
@@ -1,4 +1,4 @@
-import { LitElement } from 'lit';
+import { LitElement, notEqual } from 'lit';
 import { FeatureManager } from './services/feature-manager.js';
 
 /**
@@ -27,41 +27,121 @@ export class AuroCore extends LitElement {
 
   /**
    * @static
-   * @type {Object}
-   * @description Holds feature-defined properties. This static property is populated
-   * by the FeatureManager when features are prepared during component registration.
+   * @returns {Object} Feature-defined properties of this class
+   * @description Returns the feature properties from the feature plan owned by this class. The plan
+   * is created by the FeatureManager when features are prepared during component registration,
+   * so classes that have not been registered have no feature properties of their own.
    */
-  static _featureProperties = {};
+  static get featureProperties() {
+    return FeatureManager.hasFeaturePlan(this) ? this._featurePlan.properties : {};
+  }
 
   /**
    * @static
-   * @returns {Object} Combined properties from both direct class definition and features
-   * @description Overrides the standard properties getter to include feature-defined properties.
-   * Base properties take precedence over feature properties when merged.
+   * @returns {Object} Feature-defined properties of this class and the `featureConfig` property
+   * @description Subclasses that declare their own `static get properties` replace this getter;
+   * their properties still take precedence over feature properties (see `finalize`).
    */
   static get properties() {
-    // Get base properties (from direct class definition)
-    const baseProperties = Object.getPrototypeOf(this).properties || {};
-    
-    // Get feature properties
-    const featureProperties = this._featureProperties || {};
-
-    // Merge properties (base properties take precedence)
     return {
-      ...featureProperties,
-      ...baseProperties
+      ...this.featureProperties,
+
+      /**
+       * Per-instance feature config, deep merged over the class-level feature configs.
+       * Set it as a property before the element connects, or as JSON through the `features` attribute.
+       * @example <my-element features='{"Counter":{"start":3},"Focus":"disable"}'></my-element>
+       */
+      featureConfig: {
+        type: Object,
+        attribute: 'features',
+        converter: {
+          fromAttribute: value => FeatureManager.parseInstanceConfig(value)
+        }
+      }
     };
   }
 
+  /**
+   * @static
+   * @description Extends Lit's class finalization to create this class's feature properties.
+   * Lit only reads `static properties` from classes that define the getter themselves, so feature
+   * properties are created here instead. A property declared directly on the class takes precedence
+   * over a feature property of the same name.
+   */
+  static finalize() {
+    if (Object.prototype.hasOwnProperty.call(this, 'finalized')) {
+      return;
+    }
+
+    // Properties declared directly on the class are left for Lit to create from `static properties`
+    const ownProperties = Object.prototype.hasOwnProperty.call(this, 'properties') ? this.properties : {};
+
+    if (FeatureManager.hasFeaturePlan(this)) {
+      this.removeInheritedFeatureProperties(ownProperties);
+    }
+
+    Object.entries(this.featureProperties).forEach(([propName, propConfig]) => {
+      if (!(propName in ownProperties)) {
+        this.createProperty(propName, propConfig);
+      }
+    });
+
+    super.finalize();
+  }
+
+  /**
+   * @static
+   * @param {Object} ownProperties - Properties declared directly on the class
+   * @description A subclass of a registered component inherits the parent's feature properties through
+   * Lit's `elementProperties`. Those of features the subclass doesn't enable are removed, so their
+   * attributes are not observed, and the parent's accessors are shadowed so setting them no longer
+   * updates the element.
+   */
+  static removeInheritedFeatureProperties(ownProperties) {
+    const superClass = Object.getPrototypeOf(this);
+    superClass.finalize();
+
+    const ancestorPlans = FeatureManager.getClassChain(superClass)
+      .filter(ancestor => FeatureManager.hasFeaturePlan(ancestor))
+      .map(ancestor => ancestor._featurePlan.properties);
+
+    superClass.elementProperties.forEach((options, propName) => {
+      if (propName in this.featureProperties || propName in ownProperties) return;
+      if (!ancestorPlans.some(properties => properties[propName] === options)) return;
+
+      // Declaring it without an accessor gives the class its own copy of the inherited properties first
+      this.createProperty(propName, { ...options, noAccessor: true });
+      this.elementProperties.delete(propName);
+      Object.defineProperty(this.prototype, propName, { configurable: true, writable: true, value: undefined });
+    });
+  }
+
+  /**
+   * @static
+   * @param {CSSResultGroup} styles - The component's own `static styles`
+   * @returns {Array} Final styles for the component
+   * @description Extends Lit's style finalization with the styles of this class's enabled features.
+   * Feature styles come first, in the order features are provided, so the component's own styles
+   * can override them.
+   */
+  static finalizeStyles(styles) {
+    const featureStyles = FeatureManager.hasFeaturePlan(this) ? this._featurePlan.styles : [];
+    return super.finalizeStyles([...featureStyles, ...[styles ?? []].flat(Infinity)]);
+  }
+
   /**
    * @static
    * @returns {Object} Configuration for features this component wants to use
    * @description Defines which features this component/class wants to use or configure.
-   * Use 'disable' property to explicitly disable an inherited feature.
+   * Use `enabled: true` to opt into a feature provided with `enabled: false`, and
+   * `enabled: false` (or the 'disable' shorthand) to turn off an inherited feature.
+   * The closest class in the inheritance chain to set `enabled` decides.
    * @example
    * static get features() {
    *   return {
-   *     'custom-feature': { config: { optionA: true, optionB: 'value' } }
+   *     'custom-feature': { config: { optionA: true, optionB: 'value' } },
+   *     'opt-in-feature': { enabled: true },
+   *     'unwanted-feature': 'disable'
    *   };
    * }
    */
@@ -80,7 +160,8 @@ export class AuroCore extends LitElement {
    *     'custom-feature': { 
    *       class: CustomFeature, 
    *       config: { defaultOption: true },
-   *       enabled: false 
+   *       enabled: false,
+   *       context: true // publish the feature instance to descendants that consume it
    *     }
    *   };
    * }
@@ -89,6 +170,53 @@ export class AuroCore extends LitElement {
     return {};
   }
 
+  /**
+   * @static
+   * @returns {Object} Features this component consumes from its ancestors, keyed by host property
+   * @description Each entry names a feature an ancestor publishes with `context: true` in its
+   * `provides`, or is `{ context }` for any `@lit/context` key. The property holds a live reference
+   * to the closest ancestor's feature instance, and is undefined while no ancestor provides it,
+   * the feature is disabled, or either element is disconnected. Changes re-render the component.
+   * @example
+   * static get consumes() {
+   *   return {
+   *     selection: 'Selection'
+   *   };
+   * }
+   */
+  static get consumes() {
+    return {};
+  }
+
+  /**
+   * @static
+   * @returns {Object} Error handling options for this component's features
+   * @description Overrides `FeatureManager.errorOptions` for this class. Errors thrown by feature
+   * hooks never break the host's lifecycle; they are passed to `handler` and dispatched as a
+   * `feature-error` event on the host.
+   * @example
+   * static get featureErrorOptions() {
+   *   return {
+   *     handler: ({ error, feature, hook }) => reportToMonitoring(error, { feature, hook }),
+   *     disableAfter: 3 // disable a feature after it throws 3 times on the same element
+   *   };
+   * }
+   */
+  static get featureErrorOptions() {
+    return {};
+  }
+
+  /**
+   * @static
+   * @returns {boolean} Whether the component takes part in native forms
+   * @description True when an enabled feature declares `static get formAssociated()`, like the
+   * FormAssociated feature. The browser reads it once, when the element is defined, so such
+   * features must be enabled in `static get features` rather than at runtime.
+   */
+  static get formAssociated() {
+    return FeatureManager.hasFeaturePlan(this) && this._featurePlan.formAssociated;
+  }
+
   /**
    * @static
    * @param {string} componentName - The custom element name to register (e.g., 'auro-button')
@@ -106,10 +234,16 @@ export class AuroCore extends LitElement {
 
   /**
    * @description Invoked when the element is added to the document's DOM.
+   * On the first connection, applies the per-instance feature config first.
    * Processes feature lifecycle hooks in the order: beforeConnectedCallback,
    * standard connectedCallback, afterConnectedCallback.
    */
   connectedCallback() {
+    // Per-instance feature config is read once the element's attributes and children are available
+    if (!this.featureManager.hasConnected) {
+      this.featureManager.applyInstanceConfig();
+    }
+
     this.featureManager.processLifecycle('beforeConnectedCallback');
     super.connectedCallback();
     this.featureManager.processLifecycle('connectedCallback');
@@ -128,6 +262,52 @@ export class AuroCore extends LitElement {
     this.featureManager.processLifecycle('afterDisconnectedCallback');
   }
 
+  /**
+   * @param {Map} changedProperties - Map of changed properties with their previous values
+   * @returns {boolean} Whether the element should update
+   * @description Invoked before each update to decide whether it should happen.
+   * The element updates only if the standard shouldUpdate and every feature that implements
+   * shouldUpdate agree. Features that don't implement it, or that throw, don't veto the update.
+   */
+  shouldUpdate(changedProperties) {
+    const featureResults = this.featureManager.collectLifecycle('shouldUpdate', changedProperties);
+    return super.shouldUpdate(changedProperties) && featureResults.every(result => result !== false);
+  }
+
+  /**
+   * @param {Map} changedProperties - Map of changed properties with their previous values
+   * @description Invoked before each update to compute values that depend on other properties.
+   * Property changes made here are part of the current update and don't cause another render.
+   * Applies a `featureConfig` that changed after the element connected, so that features are
+   * enabled, disabled or reconfigured before rendering.
+   * Processes feature lifecycle hooks in the order: beforeWillUpdate,
+   * standard willUpdate, willUpdate, afterWillUpdate.
+   */
+  willUpdate(changedProperties) {
+    if (changedProperties.has('featureConfig') && !this.featureManager.isInstanceConfigApplied(this.featureConfig)) {
+      this.featureManager.applyInstanceConfig(this.featureConfig || {});
+    }
+
+    this.featureManager.processLifecycle('beforeWillUpdate', changedProperties);
+    super.willUpdate(changedProperties);
+    this.featureManager.processLifecycle('willUpdate', changedProperties);
+    this.featureManager.processLifecycle('afterWillUpdate', changedProperties);
+  }
+
+  /**
+   * @param {Map} changedProperties - Map of changed properties with their previous values
+   * @description Invoked to reflect attributes and render the element.
+   * Processes feature lifecycle hooks in the order: beforeUpdate, update,
+   * standard update (render), afterUpdate. Unlike the other hooks, a feature's `update`
+   * runs before the standard update, so the feature sees the DOM before it renders.
+   */
+  update(changedProperties) {
+    this.featureManager.processLifecycle('beforeUpdate', changedProperties);
+    this.featureManager.processLifecycle('update', changedProperties);
+    super.update(changedProperties);
+    this.featureManager.processLifecycle('afterUpdate', changedProperties);
+  }
+
   /**
    * @param {Map} changedProperties - Map of changed properties with their previous values
    * @description Invoked after the element's first update cycle completes.
@@ -154,6 +334,36 @@ export class AuroCore extends LitElement {
     this.featureManager.processLifecycle('afterUpdated', changedProperties);
   }
   
+  /**
+   * @returns {Promise<boolean>} Resolves when the element and its features have finished updating
+   * @description Extends the update completion promise with the features' `getUpdateComplete` hooks,
+   * so `await element.updateComplete` also waits for asynchronous work in features.
+   * Resolves to false if the element or any feature has another update pending.
+   */
+  async getUpdateComplete() {
+    const result = await super.getUpdateComplete();
+    const featuresComplete = await this.featureManager.getUpdateComplete();
+
+    return result && featuresComplete;
+  }
+
+  /**
+   * @param {string} [name] - Name of the changed property
+   * @param {*} [oldValue] - Its previous value
+   * @param {Object} [options] - Its property options
+   * @description Extends Lit's requestUpdate to tell the FeatureManager about property changes, so it
+   * can tell values set from outside the features from the values features set themselves.
+   */
+  requestUpdate(name, oldValue, options) {
+    // Lit requests the first update from its constructor, before the FeatureManager exists
+    if (name !== undefined && this.featureManager) {
+      const { hasChanged = notEqual } = options ?? this.constructor.getPropertyOptions(name);
+      if (hasChanged(this[name], oldValue)) this.featureManager.propertyChanged(name);
+    }
+
+    super.requestUpdate(name, oldValue, options);
+  }
+
   /**
    * @param {string} name - Name of the attribute that changed
    * @param {string} oldValue - Previous value of the attribute
@@ -168,4 +378,38 @@ export class AuroCore extends LitElement {
     this.featureManager.processLifecycle('attributeChangedCallback', name, oldValue, newValue);
     this.featureManager.processLifecycle('afterAttributeChangedCallback', name, oldValue, newValue);
   }
+
+  /**
+   * @param {HTMLFormElement|null} form - The form the element is now associated with
+   * @description Invoked on form-associated elements when their form owner changes.
+   * There is no standard implementation, so features only get the hook itself.
+   */
+  formAssociatedCallback(form) {
+    this.featureManager.processLifecycle('formAssociatedCallback', form);
+  }
+
+  /**
+   * @param {boolean} disabled - Whether the element is now disabled
+   * @description Invoked on form-associated elements when they are disabled or enabled,
+   * by their own `disabled` attribute or an ancestor fieldset.
+   */
+  formDisabledCallback(disabled) {
+    this.featureManager.processLifecycle('formDisabledCallback', disabled);
+  }
+
+  /**
+   * @description Invoked on form-associated elements when their form is reset.
+   */
+  formResetCallback() {
+    this.featureManager.processLifecycle('formResetCallback');
+  }
+
+  /**
+   * @param {*} state - The state or value the element saved with `setFormValue`
+   * @param {string} mode - 'restore' for navigation and restarts, 'autocomplete' for autofill
+   * @description Invoked on form-associated elements when the browser restores their state.
+   */
+  formStateRestoreCallback(state, mode) {
+    this.featureManager.processLifecycle('formStateRestoreCallback', state, mode);
+  }
 }
\ No newline at end of file
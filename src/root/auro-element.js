@@ -1,5 +1,7 @@
+import { nothing } from "lit";
 import { AuroCore } from "./auro-core";
 import { LayoutFeature } from "../features/layout-feature";
+import { FormAssociatedFeature } from "../features/form-associated-feature";
 
 export class AuroElement extends AuroCore {
 
@@ -7,15 +9,91 @@ export class AuroElement extends AuroCore {
     return {
       Layout: {
         class: LayoutFeature
+      },
+
+      // The optional features below are split into their own chunks and loaded on first use, so
+      // only components that enable them load them. Their manifests declare what the host needs before they load.
+
+      // Resolves `theme` and the Layout feature's `onDark` from ancestors and the color scheme
+      Theme: {
+        load: () => import("../features/theme-feature").then(module => module.ThemeFeature),
+        enabled: false,
+        manifest: {
+          properties: { theme: { type: String, reflect: true } },
+          methods: ["getToken"],
+          events: ["theme-change"]
+        }
+      },
+
+      // Sets properties like the Layout feature's `size` from breakpoints on the host's width
+      Responsive: {
+        load: () => import("../features/responsive-feature").then(module => module.ResponsiveFeature),
+        enabled: false,
+        manifest: {
+          properties: { breakpoint: { type: Number, reflect: true } },
+          events: ["breakpoint-change"]
+        }
+      },
+
+      // Keyboard navigation that components opt into with `features: { FocusTrap: { enabled: true } }`
+      FocusTrap: {
+        load: () => import("../features/focus-trap-feature").then(module => module.FocusTrapFeature),
+        enabled: false,
+        manifest: {
+          methods: { trapFocus: "activate", releaseFocus: "deactivate" },
+          events: ["focus-trap-activated", "focus-trap-released", "focus-trap-escape"]
+        }
+      },
+      RovingTabindex: {
+        load: () => import("../features/roving-tabindex-feature").then(module => module.RovingTabindexFeature),
+        enabled: false,
+        manifest: {
+          methods: ["focusItem"],
+          events: ["roving-tabindex-change"]
+        }
+      },
+
+      // Anchor-relative positioning for dropdowns, tooltips and popovers
+      Floating: {
+        load: () => import("../features/floating-feature").then(module => module.FloatingFeature),
+        enabled: false,
+        manifest: {
+          properties: {
+            open: { type: Boolean, reflect: true },
+            placement: { type: String, reflect: true }
+          },
+          methods: ["updatePosition"],
+          events: ["floating-dismiss"]
+        }
+      },
+
+      // Native form support; loaded up front and opted into at class level, since the browser reads
+      // formAssociated when the element is defined
+      FormAssociated: {
+        class: FormAssociatedFeature,
+        enabled: false
       }
     }
   }
 
+  /**
+   * Renders what the enabled features contribute to a named region of the layout.
+   * Place it in `renderLayout`, e.g. `${this.featureRegion('after-content')}`.
+   * Disabled features contribute nothing.
+   * @param {string} region - Name of the region
+   * @returns {Array<TemplateResult>} The feature contributions, in feature order
+   */
+  featureRegion(region) {
+    return this.featureManager.renderRegion(region);
+  }
+
   /** 
    * Use this to define the layout of the component.
-   * This method should be overridden in extending classes to provide the specific layout.
+   * Renders the current layout from `static get layouts()` unless overridden in extending classes.
    */
-  renderLayout() {};
+  renderLayout() {
+    return this.getLayout ? this.getLayout()() : nothing;
+  };
 
   /**
    * Render the layout for the component.
@@ -29,8 +107,8 @@ export class AuroElement extends AuroCore {
       // failed to get the defined layout
       console.error('Failed to get the defined layout - using the default layout', error); // eslint-disable-line no-console
 
-      // fallback to the default layout
-      return this.getLayout('default');
+      // fallback to the default layout, which the Layout feature guarantees
+      return this.getLayout ? this.getLayout('default')() : nothing;
     }
   }
 }
\ No newline at end of file
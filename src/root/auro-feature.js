@@ -1,3 +1,5 @@
+import { FeatureManager } from './services/feature-manager.js';
+
 export class AuroFeature {
 
   host;
@@ -5,6 +7,55 @@ export class AuroFeature {
   _propertyObservers = new Map();
   _internalValues = new Map();
 
+  // Live references to the features listed in `static get requires`, keyed by feature name.
+  // Injected by the FeatureManager after the constructor runs.
+  deps = {};
+
+  // Listeners, observers, timers and disposables created through the managed helpers
+  _resources = new Set();
+  _resourcesSuspended = false;
+
+  // Features that must be enabled for this feature to work, by provided name or feature class.
+  // Required features are enabled automatically and always initialize first.
+  static get requires() {
+    return [];
+  }
+
+  // Features this feature should initialize and run its hooks after, if they are enabled
+  static get after() {
+    return [];
+  }
+
+  // Features this feature should initialize and run its hooks before, if they are enabled
+  static get before() {
+    return [];
+  }
+
+  // Feature methods to expose on the host, as an array of names or an object of host method names
+  // to feature method names. Exposed methods are removed from the host when the feature is disabled.
+  static get methods() {
+    return [];
+  }
+
+  // Schema of the feature's config, keyed by config key. Each key accepts `type` (Number, String, Boolean,
+  // Function, Array, Object, any class, or an array of them), `enum`, `required` and `default`.
+  // Features without a schema accept any config.
+  static get configSchema() {
+    return null;
+  }
+
+  // Events the feature dispatches on the host with `emit`, as an array of names or an object of
+  // names to CustomEvent options. Events bubble and are composed unless their options say otherwise.
+  static get events() {
+    return [];
+  }
+
+  // Whether the feature needs the host to take part in forms. Components with an enabled feature that
+  // returns true are defined as form-associated and receive the form lifecycle callbacks.
+  static get formAssociated() {
+    return false;
+  }
+
   constructor(host, config) {
     this.host = host;
     this.config = config;
@@ -30,7 +81,15 @@ export class AuroFeature {
         return feature.getInternalValue(propertyName);
       },
       set(newValue) {
-        feature.host[propertyName] = newValue;
+        // A feature writing its own property isn't an explicit change
+        const { featureManager } = feature.host;
+        if (featureManager) {
+          featureManager.runFeatureCode(() => {
+            feature.host[propertyName] = newValue;
+          });
+        } else {
+          feature.host[propertyName] = newValue;
+        }
         feature.setInternalValue(propertyName, newValue);
       }
     });
@@ -46,19 +105,221 @@ export class AuroFeature {
      return this._internalValues.get(propertyName);
    }
 
+   willUpdate(changedProperties) {
+      // Sync changed host values before render so feature code sees them in willUpdate/update
+      Object.entries(this.constructor.properties || {}).forEach(([propertyName]) => {
+        if (changedProperties.has(propertyName)) {
+          this.setInternalValue(propertyName, this.host[propertyName]);
+        }
+      });
+   }
+
    firstUpdated() {
-      Object.entries(this.constructor.properties).forEach(([propertyName]) => {
+      Object.entries(this.constructor.properties || {}).forEach(([propertyName]) => {
         if (this.constructor.properties[propertyName]) {
           this.setInternalValue(propertyName, this.host[propertyName]);
         }
       });
    }
 
+   // Called by the FeatureManager when the feature's config is changed at runtime
+   configChanged(oldConfig, newConfig) {}
+
+   /**
+    * Dispatches an event declared in `static get events` on the host
+    * @param {string} name - Name of the event
+    * @param {*} [detail] - Event detail
+    * @returns {boolean} False if the event is cancelable and a listener called preventDefault
+    */
+   emit(name, detail) {
+     const events = this.constructor.events || [];
+     const options = Array.isArray(events) ? events.includes(name) && {} : events[name];
+
+     if (!options) {
+       throw new Error(`Feature Error: ${this.constructor.name} emits '${name}', which it doesn't declare in static get events.`);
+     }
+
+     return this.host.dispatchEvent(new CustomEvent(name, { bubbles: true, composed: true, ...options, detail }));
+   }
+
+   // Sets a reactive property of the host, e.g. one declared by another feature, unless it was set
+   // explicitly through markup or from outside the features. Returns whether the value was applied.
+   setHostProperty(propName, value) {
+     const { featureManager } = this.host;
+
+     if (!featureManager) {
+       this.host[propName] = value;
+       return true;
+     }
+
+     return featureManager.setFeatureProperty(propName, value, this);
+   }
+
+   /**
+    * Resolves a config value that points at an element, like a container or an anchor
+    * Selectors are queried in the host's render root first, then in its light DOM.
+    * @param {string|Function|Element} value - Selector, function called with the host, or element
+    * @returns {Element|null}
+    */
+   resolveElement(value) {
+     if (typeof value === 'function') return value(this.host) || null;
+     if (typeof value !== 'string') return value || null;
+
+     const { renderRoot } = this.host;
+     return (renderRoot && renderRoot !== this.host && renderRoot.querySelector(value)) || this.host.querySelector(value);
+   }
+
+   // Asks the host to update, e.g. after state that isn't a feature property changed
+   // and the feature's render contribution needs to re-render
+   requestUpdate() {
+     this.host.requestUpdate();
+   }
+
    updated(changedProperties) {
-      Object.entries(this.constructor.properties).forEach(([propertyName]) => {
+      Object.entries(this.constructor.properties || {}).forEach(([propertyName]) => {
         if (changedProperties.has(propertyName)) {
           this.setInternalValue(propertyName, this.host[propertyName]);
         }
       });
    }
+
+   // Adds an event listener that is removed when the host disconnects and added again when it reconnects.
+   // Returns a function that removes the listener for good.
+   listen(target, type, handler, options) {
+     return this._addResource(() => {
+       target.addEventListener(type, handler, options);
+       return () => target.removeEventListener(type, handler, options);
+     });
+   }
+
+   // Observes a target with a ResizeObserver, MutationObserver or IntersectionObserver. The observer is
+   // disconnected when the host disconnects and recreated when it reconnects.
+   // `init` is passed to the observer constructor (IntersectionObserver options), `options` to observe().
+   // Returns a function that stops observing for good.
+   observe(ObserverClass, callback, { target = this.host, options, init } = {}) {
+     return this._addResource(() => {
+       const observer = new ObserverClass(callback, init);
+       observer.observe(target, options);
+       return () => observer.disconnect();
+     });
+   }
+
+   // Schedules a callback that is cancelled if the host disconnects before it runs. It is not
+   // rescheduled on reconnect. Returns a function that cancels the timeout.
+   setTimeout(handler, delay, ...args) {
+     const cancel = this._addResource(() => {
+       const timeoutId = window.setTimeout(() => {
+         cancel();
+         handler(...args);
+       }, delay);
+       return () => window.clearTimeout(timeoutId);
+     }, false);
+
+     return cancel;
+   }
+
+   // Registers a cleanup function that runs once, when the host disconnects or the feature is disabled.
+   // Returns a function that runs the cleanup early.
+   addDisposable(dispose) {
+     return this._addResource(() => dispose, false);
+   }
+
+   // Tracks a resource. `arm` sets it up and returns the function that tears it down.
+   // Persistent resources are set up again when the host reconnects; others are dropped on teardown.
+   _addResource(arm, persistent = true) {
+     const resource = { arm, persistent, disarm: null };
+     this._resources.add(resource);
+
+     if (!this._resourcesSuspended) {
+       resource.disarm = arm();
+     }
+
+     return () => {
+       if (!this._resources.delete(resource)) return;
+       if (resource.disarm) resource.disarm();
+     };
+   }
+
+   // Called by the FeatureManager after the host disconnects
+   _suspendResources() {
+     this._resourcesSuspended = true;
+
+     this._resources.forEach(resource => {
+       if (resource.disarm) resource.disarm();
+       resource.disarm = null;
+       if (!resource.persistent) this._resources.delete(resource);
+     });
+   }
+
+   // Called by the FeatureManager before the host reconnects
+   _resumeResources() {
+     if (!this._resourcesSuspended) return;
+     this._resourcesSuspended = false;
+
+     this._resources.forEach(resource => {
+       resource.disarm = resource.arm();
+     });
+   }
+
+   // Called by the FeatureManager when the feature is disabled
+   _disposeResources() {
+     this._suspendResources();
+     this._resources.clear();
+   }
+
+   // Adds the feature to a LitElement that doesn't extend AuroCore, as a Lit ReactiveController.
+   // The host must declare the feature's properties itself, e.g. `static properties = { ...FocusFeature.properties }`.
+   // The config is merged over the schema defaults and validated, as on an AuroCore host.
+   static attach(host, config = {}) {
+     const finalConfig = FeatureManager.mergeConfig(FeatureManager.getConfigDefaults(this), config);
+     FeatureManager.checkConfig(this, finalConfig, `'${this.name}' on <${host.localName}>`);
+
+     const feature = new this(host, finalConfig);
+     host.addController(feature);
+     return feature;
+   }
+
+   // ReactiveController callbacks, used only when the feature is added to a host with addController.
+   // AuroCore hosts call the feature hooks directly through the FeatureManager instead.
+   hostConnected() {
+     this._resumeResources();
+     this._callHooks(['beforeConnectedCallback', 'connectedCallback', 'afterConnectedCallback']);
+   }
+
+   hostDisconnected() {
+     this._callHooks(['beforeDisconnectedCallback', 'disconnectedCallback', 'afterDisconnectedCallback']);
+     this._suspendResources();
+   }
+
+   hostUpdate() {
+     // Controllers don't receive changedProperties, so they are rebuilt from the feature's own
+     // properties, compared with their values at the end of the previous update
+     this._controllerChanges = new Map();
+     Object.keys(this.constructor.properties || {}).forEach(propertyName => {
+       const previousValue = this._controllerValues?.get(propertyName);
+       if (!this._controllerValues || previousValue !== this.host[propertyName]) {
+         this._controllerChanges.set(propertyName, previousValue);
+       }
+     });
+
+     this._callHooks(['beforeWillUpdate', 'willUpdate', 'afterWillUpdate', 'beforeUpdate', 'update'], this._controllerChanges);
+   }
+
+   hostUpdated() {
+     const changedProperties = this._controllerChanges || new Map();
+     this._callHooks(['afterUpdate'], changedProperties);
+
+     if (!this._controllerValues) {
+       this._callHooks(['beforeFirstUpdated', 'firstUpdated', 'afterFirstUpdated'], changedProperties);
+     }
+     this._callHooks(['beforeUpdated', 'updated', 'afterUpdated'], changedProperties);
+
+     this._controllerValues = new Map(Object.keys(this.constructor.properties || {}).map(propertyName => [propertyName, this.host[propertyName]]));
+   }
+
+   _callHooks(hooks, ...args) {
+     hooks.forEach(hook => {
+       if (typeof this[hook] === 'function') this[hook](...args);
+     });
+   }
 }
\ No newline at end of file
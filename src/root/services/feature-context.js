@@ -0,0 +1,227 @@
+/**
+ * Feature context
+ * Lets a host publish feature instances to its descendants, across shadow roots, with the
+ * context protocol implemented by `@lit/context`: a consumer dispatches a `context-request`
+ * event from itself and the closest provider of that context answers through the event's callback.
+ */
+
+/**
+ * Returns the context key a feature is published under by default
+ * Pass it to `@lit/context` to consume a published feature from any LitElement.
+ * @param {string} featureName - Name the feature is provided under
+ * @returns {string} The context key
+ */
+export function featureContext(featureName) {
+  return `auro-feature:${featureName}`;
+}
+
+/**
+ * Asks the closest provider of a context for its value
+ * Same shape as the `ContextRequestEvent` of `@lit/context`.
+ */
+export class ContextRequestEvent extends Event {
+  constructor(context, contextTarget, callback, subscribe = false) {
+    super('context-request', { bubbles: true, composed: true });
+    this.context = context;
+    this.contextTarget = contextTarget;
+    this.callback = callback;
+    this.subscribe = subscribe;
+  }
+}
+
+/**
+ * Announces that a provider of a context connected, so providers above it can hand over
+ * the subscriptions of consumers it is now closer to. Same shape as the `ContextProviderEvent` of `@lit/context`.
+ */
+export class ContextProviderEvent extends Event {
+  constructor(context, contextTarget) {
+    super('context-provider', { bubbles: true, composed: true });
+    this.context = context;
+    this.contextTarget = contextTarget;
+  }
+}
+
+/**
+ * Publishes feature instances of a host to its descendants
+ * Subscribers receive the feature instance, or undefined while the feature is disabled or loading.
+ */
+export class FeatureContextProvider {
+
+  // Subscribed consumer callbacks per feature
+  _subscriptions = new Map(); // featureName -> Map(callback -> { consumerHost, unsubscribe })
+
+  /**
+   * @param {FeatureManager} manager - Feature manager of the providing host
+   * @param {Object} published - Context keys keyed by feature name
+   */
+  constructor(manager, published) {
+    this.manager = manager;
+    this.host = manager.host;
+    this.published = published;
+
+    this.host.addEventListener('context-request', this._onContextRequest);
+    this.host.addEventListener('context-provider', this._onProviderConnected);
+  }
+
+  _findFeatureName(context) {
+    return Object.keys(this.published).find(featureName => this.published[featureName] === context);
+  }
+
+  _onContextRequest = event => {
+    const featureName = this._findFeatureName(event.context);
+    const consumerHost = event.contextTarget || event.composedPath()[0];
+
+    // A host never answers its own requests, so it can consume the same context from an ancestor
+    if (!featureName || consumerHost === this.host) return;
+
+    event.stopPropagation();
+
+    const feature = this.manager.getFeature(featureName);
+    if (!event.subscribe) {
+      event.callback(feature);
+      return;
+    }
+
+    if (!this._subscriptions.has(featureName)) this._subscriptions.set(featureName, new Map());
+    const subscriptions = this._subscriptions.get(featureName);
+
+    if (!subscriptions.has(event.callback)) {
+      subscriptions.set(event.callback, { consumerHost, unsubscribe: () => subscriptions.delete(event.callback) });
+    }
+
+    event.callback(feature, subscriptions.get(event.callback).unsubscribe);
+  };
+
+  // A provider of the same context connected below this host: consumers closer to it move over
+  _onProviderConnected = event => {
+    const featureName = this._findFeatureName(event.context);
+    const providerHost = event.contextTarget || event.composedPath()[0];
+    if (!featureName || providerHost === this.host) return;
+
+    event.stopPropagation();
+
+    [...(this._subscriptions.get(featureName) || [])].forEach(([callback, { consumerHost }]) => {
+      consumerHost.dispatchEvent(new ContextRequestEvent(event.context, consumerHost, callback, true));
+    });
+  };
+
+  /**
+   * Announces the published contexts, called when the host connects
+   */
+  connected() {
+    Object.values(this.published).forEach(context => {
+      this.host.dispatchEvent(new ContextProviderEvent(context, this.host));
+    });
+  }
+
+  /**
+   * Tells subscribers the features are gone and drops them, called when the host disconnects
+   */
+  disconnected() {
+    this._subscriptions.forEach(subscriptions => {
+      subscriptions.forEach(({ unsubscribe }, callback) => callback(undefined, unsubscribe));
+    });
+    this._subscriptions.clear();
+  }
+
+  /**
+   * Sends the current feature instance to its subscribers, after it was enabled, disabled or recreated
+   * @param {string} featureName - Name the feature is provided under
+   */
+  notify(featureName) {
+    const feature = this.manager.getFeature(featureName);
+
+    (this._subscriptions.get(featureName) || new Map()).forEach(({ unsubscribe }, callback) => callback(feature, unsubscribe));
+  }
+}
+
+/**
+ * Keeps host properties in sync with features published by the host's ancestors
+ * Properties are requested when the host connects and cleared when it disconnects. If no
+ * provider answers, the request is repeated when a provider of the context connects.
+ */
+export class FeatureContextConsumer {
+
+  // Unsubscribe callbacks of the current providers
+  _unsubscribes = new Map(); // propertyName -> unsubscribe
+
+  // Listeners waiting for a provider to connect
+  _waiting = new Map(); // propertyName -> listener
+
+  /**
+   * @param {FeatureManager} manager - The FeatureManager of the consuming host
+   * @param {Object} consumes - Context keys keyed by host property name
+   */
+  constructor(manager, consumes) {
+    this.manager = manager;
+    this.host = manager.host;
+    this.consumes = consumes;
+  }
+
+  // Provided values are set as feature code, so they don't count as explicit values
+  _setHostProperty(propName, value) {
+    this.manager.runFeatureCode(() => {
+      this.host[propName] = value;
+    });
+  }
+
+  _request(propName, context) {
+    let answered = false;
+
+    const callback = (value, unsubscribe) => {
+      answered = true;
+
+      // Answered by a different provider, e.g. a closer one that connected later
+      const previous = this._unsubscribes.get(propName);
+      if (previous !== unsubscribe) {
+        if (previous) previous();
+        this._unsubscribes.set(propName, unsubscribe);
+      }
+
+      this._setHostProperty(propName, value);
+    };
+
+    this.host.dispatchEvent(new ContextRequestEvent(context, this.host, callback, true));
+
+    if (!answered) this._waitForProvider(propName, context);
+  }
+
+  _waitForProvider(propName, context) {
+    const listener = event => {
+      if (event.context !== context) return;
+
+      this._stopWaiting(propName);
+      this._request(propName, context);
+    };
+
+    this._waiting.set(propName, listener);
+    this.host.ownerDocument.addEventListener('context-provider', listener);
+  }
+
+  _stopWaiting(propName) {
+    this.host.ownerDocument.removeEventListener('context-provider', this._waiting.get(propName));
+    this._waiting.delete(propName);
+  }
+
+  /**
+   * Requests every consumed context, called when the host connects
+   */
+  connected() {
+    Object.entries(this.consumes).forEach(([propName, context]) => this._request(propName, context));
+  }
+
+  /**
+   * Unsubscribes from every provider and clears the consumed properties, called when the host disconnects
+   */
+  disconnected() {
+    [...this._waiting.keys()].forEach(propName => this._stopWaiting(propName));
+
+    Object.keys(this.consumes).forEach(propName => {
+      const unsubscribe = this._unsubscribes.get(propName);
+      if (unsubscribe) unsubscribe();
+
+      this._unsubscribes.delete(propName);
+      this._setHostProperty(propName, undefined);
+    });
+  }
+}
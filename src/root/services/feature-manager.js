@@ -1,4 +1,54 @@
-import merge from 'lodash.merge';
+import mergeWith from 'lodash.mergewith';
+import { LitElement, adoptStyles, nothing, supportsAdoptingStyleSheets } from 'lit';
+import { AuroFeature } from '../auro-feature.js';
+import { FeatureContextConsumer, FeatureContextProvider, featureContext } from './feature-context.js';
+import { FeatureTracer } from './feature-tracer.js';
+
+// Methods installed on host prototypes that delegate to a feature
+const methodProxies = new WeakSet();
+
+// Hooks that run on a lazy feature once it is ready if the host called them while it was loading
+const QUEUED_HOOKS = [
+  'beforeConnectedCallback', 'connectedCallback', 'afterConnectedCallback',
+  'beforeDisconnectedCallback', 'disconnectedCallback', 'afterDisconnectedCallback',
+  'beforeFirstUpdated', 'firstUpdated', 'afterFirstUpdated'
+];
+
+// Hooks after which `subscribe` listeners are told the host's features may have changed
+const CHANGE_HOOKS = ['afterConnectedCallback', 'afterUpdated', 'afterDisconnectedCallback'];
+
+// Config keys the feature system reads itself, allowed by every config schema
+const RESERVED_CONFIG_KEYS = ['styleVariant'];
+
+// Lets config arrays replace each other when configs are merged, instead of merging index by index
+function replaceArrays(objValue, srcValue) {
+  if (Array.isArray(srcValue)) return mergeWith([], srcValue, replaceArrays);
+  return undefined;
+}
+
+// Describes a config value for validation messages
+function describeValue(value) {
+  if (typeof value === 'string') return `"${value}"`;
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'object') return 'an object';
+  if (typeof value === 'function') return 'a function';
+  return String(value);
+}
+
+// Number of single-character edits between two strings, used to suggest misspelled config keys
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
 
 /**
  * Compositional service responsible for managing features and their lifecycle hooks
@@ -6,216 +56,1903 @@ import merge from 'lodash.merge';
  */
 export class FeatureManager {
 
+  /**
+   * Global defaults for handling errors thrown by features. Components override them per class
+   * with `static get featureErrorOptions`.
+   * - `handler` is called with `{ error, feature, hook, host, failures }` for every error
+   * - `disableAfter` disables a feature after that many errors on one host; 0 never disables
+   */
+  static errorOptions = {
+    handler: ({ error, feature, hook, host }) => {
+      console.error(`Feature Error: '${feature}' threw in ${hook} on <${host.localName}>.`, error);
+    },
+    disableAfter: 0
+  };
+
+  /**
+   * How feature configs are checked against the features' `static get configSchema`:
+   * - `'warn'` logs a warning listing the problems (the default, meant for development)
+   * - `'strict'` throws instead
+   * - `'off'` skips validation, e.g. in production builds
+   * Configs are checked when a component is registered and when they change at runtime.
+   */
+  static configValidation = 'warn';
+
+  /**
+   * Whether feature hooks are timed on every host. Hosts override it with `featureManager.tracing`.
+   * Timings are recorded in `FeatureManager.tracer`; see `FeatureTracer` for the summary.
+   */
+  static tracing = false;
+
+  // Shared buffer of hook timings from every traced host
+  static tracer = new FeatureTracer();
+
+  // Whether this host's feature hooks are timed; undefined follows `FeatureManager.tracing`
+  tracing;
+
   // Stores all instances of provided features
   _featureInstances;
 
+  // Stores the host key each feature instance is attached under
+  _featureKeys;
+
+  // Stores features enabled or disabled at runtime, overriding the class resolution
+  _runtimeStates;
+
+  // Stores config patches applied at runtime, kept while a feature is disabled
+  _configOverrides;
+
+  // Whether the host's connected hooks have run and its disconnected hooks haven't since
+  _hostConnected = false;
+
+  // Whether the host has been connected at least once
+  _hasConnected = false;
+
+  // The instance config most recently applied through `applyInstanceConfig`
+  _appliedInstanceConfig;
+
+  // Properties set explicitly, through markup attributes or from outside the features; features don't override them
+  _explicitProperties = new Set();
+
+  // Properties whose attribute is being removed, so the write that follows doesn't count as explicit
+  _releasedProperties = new Set();
+
+  // How many calls into feature code are running; property changes made meanwhile are the features' own
+  _featureCodeDepth = 0;
+
+  // Stores how many errors each feature has thrown on this host
+  _failureCounts = new Map();
+
+  // Features being disabled because of repeated errors
+  _autoDisabling = new Set();
+
+  // Functions called after the host's features may have changed, see `subscribe`
+  _changeListeners = new Set();
+  _changeNotificationPending = false;
+
+  // Whether the enabled features or their style variants differ from the class's feature plan
+  _stylesChanged = false;
+
+  // Enabled lazy features whose class hasn't loaded yet, with the hooks queued for them
+  _pendingFeatures = new Map(); // featureName -> { hooks, loading }
+
+  // Callbacks of `whenReady` promises waiting for a feature
+  _readyWaiters = new Map(); // featureName -> [{ resolve, reject }]
+
+  // Publishes features to descendants, if the class publishes any
+  _contextProvider;
+
+  // Keeps consumed properties in sync with ancestors' features, if the class consumes any
+  _contextConsumer;
+
   constructor(host, constructor) {
     this.host = host;
     this.constructor = constructor;
     this._featureInstances = new Map();
+    this._featureKeys = new Map();
+    this._runtimeStates = new Map(); // featureName -> { enabled, reason }
+    this._configOverrides = new Map();
     this._initializeFeatures();
+
+    const { published, consumes } = FeatureManager.getFeaturePlan(constructor);
+    if (Object.keys(published).length) this._contextProvider = new FeatureContextProvider(this, published);
+    if (Object.keys(consumes).length) this._contextConsumer = new FeatureContextConsumer(this, consumes);
+  }
+
+  /**
+   * Returns the inheritance chain of a component, ordered from the base class down to the component
+   * @returns {Array<Function>} Classes in the chain, base class first
+   */
+  static getClassChain(constructor) {
+    const chain = [];
+
+    let current = constructor;
+    // Compared by identity, since minified builds of Lit rename the class
+    while (current && current !== LitElement && current !== Function.prototype) {
+      chain.unshift(current);
+      current = Object.getPrototypeOf(current);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Reads a static getter only if the class defines it itself, so that a getter
+   * inherited from a parent class is not applied a second time for the subclass
+   * @returns {Object} The class's own value for the static, or an empty object
+   */
+  static getOwnStatic(constructor, key) {
+    return Object.prototype.hasOwnProperty.call(constructor, key) ? constructor[key] || {} : {};
+  }
+
+  /**
+   * Normalizes an entry of `static get features` into a `{ enabled, config, properties }` object.
+   * The `'disable'` and `'enable'` shorthands map to `enabled: false` and `enabled: true`.
+   * `enabled` is left undefined when the entry does not change the enabled state.
+   * @returns {Object} Normalized feature entry
+   */
+  static normalizeFeatureEntry(entry) {
+    if (entry === 'disable') return { enabled: false, config: {}, properties: {} };
+    if (entry === 'enable') return { enabled: true, config: {}, properties: {} };
+
+    const { enabled, config = {}, properties = {} } = entry || {};
+    return {
+      enabled: typeof enabled === 'boolean' ? enabled : undefined,
+      config,
+      properties
+    };
   }
 
   /**
    * Collects features (`static get provides`) from the entire inheritance chain
-   * @returns {Object} Merged feature definitions
+   * Child classes that provide a feature under the same name replace the parent's definition.
+   * Besides AuroFeature subclasses, any Lit ReactiveController class can be provided, and
+   * `load: () => import(...)` provides a feature that is loaded on first use.
+   * @returns {Object} Merged feature definitions, each annotated with the `providedBy` class
    */
   static getInheritedProvides(constructor) {
-    // Start with empty features object
     const features = {};
-    
-    // Walk up the prototype chain to collect features
-    let current = constructor;
-    while (current && current.name !== 'LitElement') {
-      // Get features provided by this class
-      const provides = current.provides || {};
-      
-      // Merge with accumulated features (child classes override parent classes)
-      Object.entries(provides).forEach(([name, definition]) => {
-        if (!features[name]) {
-          features[name] = definition;
-        }
+
+    this.getClassChain(constructor).forEach(current => {
+      Object.entries(this.getOwnStatic(current, 'provides')).forEach(([name, definition]) => {
+        // A class can be provided directly as shorthand for `{ class: FeatureClass }`
+        const normalized = typeof definition === 'function' ? { class: definition } : definition;
+        features[name] = { ...normalized, providedBy: current };
       });
-      
-      // Move up the prototype chain
-      current = Object.getPrototypeOf(current);
-    }
-    
+    });
+
     return features;
   }
 
   /**
    * Collects feature configurations (`static get features`) from the inheritance chain
+   * Classes are applied from the base class down, so a child class always overrides its parents:
+   * configs are deep merged, property overrides replace each other, and the last class to set
+   * `enabled` (or use the `'disable'`/`'enable'` shorthand) decides whether the feature is on.
+   * Each entry records the classes that set config (`configuredBy`) and the class that last
+   * overrode each property (`propertiesOverriddenBy`).
    * @returns {Object} Merged feature configurations
    */
-   static getInheritedConfigs(constructor) {
-    // Start with empty config object
+  static getInheritedConfigs(constructor) {
     const configs = {};
 
-    // Walk up the prototype chain to collect feature configs
-    let current = constructor;
-    while (current && current.name !== 'LitElement') {
-      // Get feature configurations from this class
-      const features = current.features || {};
-
-      // Merge with accumulated configs
-      Object.entries(features).forEach(([name, config]) => {
-        if (!configs[name]) {
-          configs[name] = config;
-        } else if (config === 'disable') {
-          // Mark feature as disabled
-          configs[name] = 'disable';
-        } else if (configs[name] !== 'disable') {
-          // Deep merge configs (child overrides parent)
-          const prevConfig = configs[name].config || {};
-          const nextConfig = config.config || {};
-          const prevProps = configs[name].properties || {};
-          const nextProps = config.properties || {};
-
-          // Merge properties, with 'disable' support
-          const mergedProps = { ...prevProps };
-          Object.entries(nextProps).forEach(([propName, propValue]) => {
-            if (propValue === 'disable') {
-              delete mergedProps[propName];
-            } else {
-              mergedProps[propName] = propValue;
-            }
-          });
+    this.getClassChain(constructor).forEach(current => {
+      Object.entries(this.getOwnStatic(current, 'features')).forEach(([name, entry]) => {
+        const previous = configs[name] || { enabled: undefined, config: {}, properties: {}, configuredBy: [], propertiesOverriddenBy: {} };
+        const next = this.normalizeFeatureEntry(entry);
+
+        configs[name] = {
+          ...previous,
+          config: this.mergeConfig(previous.config, next.config),
+          // Property overrides are kept as-is, including 'disable' markers, so a child can re-enable them
+          properties: { ...previous.properties, ...next.properties },
+          configuredBy: Object.keys(next.config).length ? [...previous.configuredBy, current] : previous.configuredBy,
+          propertiesOverriddenBy: {
+            ...previous.propertiesOverriddenBy,
+            ...Object.fromEntries(Object.keys(next.properties).map(propName => [propName, current]))
+          }
+        };
 
-          configs[name] = {
-            ...configs[name],
-            config: merge({}, prevConfig, nextConfig),
-            properties: mergedProps
-          };
+        if (next.enabled !== undefined) {
+          configs[name].enabled = next.enabled;
+          configs[name].enabledBy = current;
         }
       });
+    });
 
-      // Move up the prototype chain
-      current = Object.getPrototypeOf(current);
+    return configs;
+  }
+
+  /**
+   * Resolves every provided feature against the inherited configurations.
+   * This is the single place that decides whether a feature is active, what its final
+   * config is, and which properties it contributes to the host.
+   * @returns {Object} Resolved features keyed by feature name
+   */
+  static resolveFeatures(constructor) {
+    const providedFeatures = this.getInheritedProvides(constructor);
+    const featureConfigs = this.getInheritedConfigs(constructor);
+    const resolved = {};
+
+    Object.entries(providedFeatures).forEach(([featureName, featureDef]) => {
+      const { class: FeatureClass, load, config: defaultConfig = {}, enabled: providedEnabled = true, providedBy } = featureDef;
+
+      // Lazy features declare their statics in a manifest until the class is loaded
+      const manifest = load ? featureDef.manifest || {} : FeatureClass;
+      const featureConfig = featureConfigs[featureName] || { enabled: undefined, config: {}, properties: {}, configuredBy: [], propertiesOverriddenBy: {} };
+
+      // The closest class in the chain to set `enabled` wins, otherwise the provider decides
+      const overridden = featureConfig.enabled !== undefined;
+      const enabled = overridden ? featureConfig.enabled : providedEnabled;
+      const decidedBy = overridden ? featureConfig.enabledBy : providedBy;
+
+      let reason;
+      if (overridden) {
+        reason = `${enabled ? 'Enabled' : 'Disabled'} by ${decidedBy.name} via static features`;
+      } else {
+        reason = enabled
+          ? `Provided by ${providedBy.name}`
+          : `Provided disabled by ${providedBy.name} and not enabled by any class`;
+      }
+
+      // Merge properties: static + config properties, with 'disable' support
+      const properties = { ...(manifest.properties || {}) };
+      const disabledProperties = {};
+      Object.entries(featureConfig.properties).forEach(([propName, propValue]) => {
+        if (propValue === 'disable') {
+          delete properties[propName];
+          disabledProperties[propName] = featureConfig.propertiesOverriddenBy[propName];
+        } else {
+          properties[propName] = propValue;
+        }
+      });
+
+      resolved[featureName] = {
+        name: featureName,
+        FeatureClass: load ? undefined : FeatureClass,
+        manifest,
+        load,
+        // Context key the feature is published to descendants under, if any
+        context: featureDef.context === true ? featureContext(featureName) : featureDef.context,
+        providedBy,
+        enabled,
+        decidedBy,
+        reason,
+        config: this.mergeConfig(this.getConfigDefaults(manifest), defaultConfig, featureConfig.config),
+        // Classes below the provider that set config, base class first
+        configuredBy: featureConfig.configuredBy,
+        properties,
+        // Properties disabled through static features, with the class that disabled them
+        disabledProperties,
+        overridden,
+        isController: load ? undefined : this.isController(FeatureClass)
+      };
+    });
+
+    // Translate `requires`/`after`/`before` into feature names now that every feature is known
+    Object.values(resolved).forEach(feature => {
+      const { requires = [], after = [], before = [] } = feature.manifest;
+      feature.requires = requires.map(dependency => this.findFeatureName(resolved, dependency, feature.name, true));
+      feature.after = after.map(dependency => this.findFeatureName(resolved, dependency)).filter(Boolean);
+      feature.before = before.map(dependency => this.findFeatureName(resolved, dependency)).filter(Boolean);
+    });
+
+    this.enableRequiredFeatures(constructor, resolved);
+
+    return this.sortFeatures(constructor, resolved);
+  }
+
+  /**
+   * Whether a provided class is a plain Lit ReactiveController rather than an AuroFeature
+   * Controllers are added to the host with `addController`, so Lit calls their `hostConnected`,
+   * `hostDisconnected`, `hostUpdate` and `hostUpdated` callbacks itself.
+   * @returns {boolean}
+   */
+  static isController(FeatureClass) {
+    return !(FeatureClass.prototype instanceof AuroFeature);
+  }
+
+  /**
+   * Finds the name a feature is provided under from a name or a feature class
+   * @param {Object} resolved - Resolved features keyed by feature name
+   * @param {string|Function} dependency - Feature name, or a feature class (subclasses match too; lazy features match by name only)
+   * @param {string} [dependentName] - Name of the feature declaring the dependency, used in errors
+   * @param {boolean} [required] - Whether a dependency that cannot be found is an error
+   * @returns {string|undefined} The feature name
+   */
+  static findFeatureName(resolved, dependency, dependentName, required = false) {
+    const name = typeof dependency === 'string'
+      ? resolved[dependency] && dependency
+      : Object.keys(resolved).find(key => {
+        const { FeatureClass } = resolved[key];
+        return FeatureClass && (FeatureClass === dependency || FeatureClass.prototype instanceof dependency);
+      });
+
+    if (!name && required) {
+      const label = typeof dependency === 'string' ? dependency : dependency.name;
+      throw new Error(`Feature Error: '${dependentName}' requires '${label}', which is not provided. \nProvide it in static provides of the component or one of its ancestors.`);
     }
 
-    return configs;
+    return name;
+  }
+
+  /**
+   * Enables features required by enabled features
+   * A required feature that is only disabled by its provider's `enabled: false` default is
+   * enabled automatically. A required feature that a class explicitly disabled is an error.
+   * @param {Function} constructor - Component class, used in errors
+   * @param {Object} resolved - Resolved features keyed by feature name, updated in place
+   */
+  static enableRequiredFeatures(constructor, resolved) {
+    const pending = Object.values(resolved).filter(feature => feature.enabled);
+
+    while (pending.length) {
+      const feature = pending.shift();
+
+      feature.requires.forEach(dependencyName => {
+        const dependency = resolved[dependencyName];
+        if (dependency.enabled) return;
+
+        if (dependency.overridden) {
+          throw new Error(`Feature Error: '${feature.name}' requires '${dependencyName}', which is disabled by ${dependency.decidedBy.name} on ${constructor.name}. \nEnable '${dependencyName}' or disable '${feature.name}'.`);
+        }
+
+        dependency.enabled = true;
+        dependency.reason = `Enabled because '${feature.name}' requires it`;
+        pending.push(dependency);
+      });
+    }
+  }
+
+  /**
+   * Sorts features so that every feature comes after the features it requires or runs `after`,
+   * and before the features it runs `before`. Features without constraints keep the order they
+   * were provided in, base class first. Disabled features are sorted too, so features enabled
+   * at runtime take the same position.
+   * @param {Function} constructor - Component class, used in errors
+   * @param {Object} resolved - Resolved features keyed by feature name
+   * @returns {Object} Resolved features keyed by feature name, in initialization order
+   */
+  static sortFeatures(constructor, resolved) {
+    const names = Object.keys(resolved);
+    const predecessors = {};
+
+    names.forEach(name => {
+      predecessors[name] = [...resolved[name].requires, ...resolved[name].after];
+    });
+    names.forEach(name => {
+      resolved[name].before.forEach(successor => predecessors[successor].push(name));
+    });
+
+    const sorted = {};
+    const visiting = [];
+
+    const visit = name => {
+      if (sorted[name]) return;
+
+      if (visiting.includes(name)) {
+        const cycle = [...visiting.slice(visiting.indexOf(name)), name].join(' -> ');
+        throw new Error(`Feature Error: Circular feature dependency on ${constructor.name}: ${cycle}.`);
+      }
+
+      visiting.push(name);
+      predecessors[name].forEach(visit);
+      visiting.pop();
+
+      sorted[name] = resolved[name];
+    };
+
+    names.forEach(visit);
+
+    return sorted;
+  }
+
+  /**
+   * Explains why a feature is or isn't active for a component class
+   * @returns {{ name: string, enabled: boolean, reason: string, providedBy: Function|null, decidedBy: Function|null }}
+   */
+  static explain(constructor, featureName) {
+    const features = this.hasFeaturePlan(constructor)
+      ? constructor._featurePlan.features
+      : this.resolveFeatures(constructor);
+    const feature = features[featureName];
+
+    if (!feature) {
+      return {
+        name: featureName,
+        enabled: false,
+        reason: `Not provided by ${constructor.name} or any of its ancestors`,
+        providedBy: null,
+        decidedBy: null
+      };
+    }
+
+    const { name, enabled, reason, providedBy, decidedBy } = feature;
+    return { name, enabled, reason, providedBy, decidedBy };
+  }
+
+  /**
+   * Describes the resolved features of a component class for debugging
+   * Lists every provided feature in initialization order, with where it came from: the class
+   * that provided it, the class that decided whether it is enabled, the classes that configured
+   * it and the classes that disabled its properties.
+   * @param {Function} constructor - Component class
+   * @returns {{ component: Function, chain: Array<Function>, features: Array<Object>, propertyOwners: Object, consumes: Object }}
+   */
+  static describe(constructor) {
+    const plan = this.getFeaturePlan(constructor);
+
+    return {
+      component: constructor,
+      chain: this.getClassChain(constructor),
+      features: plan.order.map(featureName => {
+        const feature = plan.features[featureName];
+        const events = feature.manifest.events || [];
+
+        return {
+          name: feature.name,
+          enabled: feature.enabled,
+          reason: feature.reason,
+          providedBy: feature.providedBy,
+          decidedBy: feature.decidedBy,
+          configuredBy: [...feature.configuredBy],
+          config: feature.config,
+          properties: Object.keys(feature.properties),
+          disabledProperties: { ...feature.disabledProperties },
+          methods: Object.keys(this.getFeatureMethods(feature.manifest)),
+          events: Array.isArray(events) ? [...events] : Object.keys(events),
+          requires: [...feature.requires],
+          after: [...feature.after],
+          before: [...feature.before],
+          isController: feature.isController,
+          lazy: Boolean(feature.load),
+          loaded: Boolean(feature.FeatureClass),
+          context: feature.context
+        };
+      }),
+      propertyOwners: { ...plan.propertyOwners },
+      consumes: { ...plan.consumes }
+    };
+  }
+
+  /**
+   * Whether a feature plan has been prepared for this exact class
+   * @returns {boolean}
+   */
+  static hasFeaturePlan(constructor) {
+    return Object.prototype.hasOwnProperty.call(constructor, '_featurePlan');
+  }
+
+  /**
+   * Returns the feature plan of a class, preparing it first if needed
+   * @returns {{ features: Object, order: Array<string>, properties: Object, propertyOwners: Object }}
+   */
+  static getFeaturePlan(constructor) {
+    this.prepareFeatures(constructor);
+    return constructor._featurePlan;
   }
 
   /**
    * Initialize features and collect their properties
    * This needs to be called before the element is registered
    * This is done in the static `register()` method of the core component
+   *
+   * Resolves the features of a class once and stores the result as the class's own
+   * `_featurePlan`, so element instances never walk the inheritance chain themselves:
+   * - `features`: resolved features keyed by name, in initialization order
+   * - `order`: feature names in initialization order
+   * - `properties`: properties contributed by the enabled features, from the manifest of lazy features
+   * - `propertyOwners`: the feature that contributed each property
+   * - `styles`: styles contributed by the enabled features, merged into the component's styles
+   * - `methods`: methods the enabled features expose, installed on the component's prototype
+   * - `published`: context keys of the features published to descendants, keyed by feature name
+   * - `consumes`: context keys consumed from ancestors, keyed by host property name; these are
+   *   added to `properties` as well
+   * - `formAssociated`: whether an enabled feature needs the component to be form-associated
+   *
+   * Two enabled features may not declare the same property; resolve the conflict by
+   * disabling the property on one of them in `static get features`,
+   * e.g. `Layout: { properties: { size: 'disable' } }`.
    */
   static prepareFeatures(constructor) {
-    if (constructor._featuresInitialized) {
+    if (this.hasFeaturePlan(constructor)) {
       return; // Only do this once per class
     }
 
-    // Create feature properties registry if it doesn't exist
-    if (!constructor._featureProperties) {
-      constructor._featureProperties = {};
+    const features = this.resolveFeatures(constructor);
+
+    // Always create a registry owned by this class so properties never leak between classes
+    const properties = {};
+    const propertyOwners = {};
+
+    // Collect properties from all enabled features
+    Object.values(features).forEach(feature => {
+      if (!feature.enabled) return;
+
+      Object.entries(feature.properties).forEach(([propName, propConfig]) => {
+        if (propertyOwners[propName]) {
+          throw new Error(`Feature Error: Property '${propName}' is declared by both the '${propertyOwners[propName]}' and '${feature.name}' features on ${constructor.name}. \nDisable it on one of them via static features, e.g. ${feature.name}: { properties: { ${propName}: 'disable' } }.`);
+        }
+
+        propertyOwners[propName] = feature.name;
+        properties[propName] = propConfig;
+      });
+    });
+
+    // Collect styles from all enabled features, in initialization order
+    const styles = Object.values(features)
+      .filter(feature => feature.enabled)
+      .flatMap(feature => this.getFeatureStyles(feature.manifest, feature.config));
+
+    // Collect the methods enabled features expose on the host
+    const methods = {};
+    Object.values(features).forEach(feature => {
+      if (!feature.enabled) return;
+
+      Object.entries(this.getFeatureMethods(feature.manifest)).forEach(([hostName, methodName]) => {
+        if (methods[hostName]) {
+          throw new Error(`Feature Error: Method '${hostName}' is exposed by both the '${methods[hostName].feature}' and '${feature.name}' features on ${constructor.name}. \nRename it in one feature's static methods, e.g. { ${feature.name.toLowerCase()}${hostName[0].toUpperCase()}${hostName.slice(1)}: '${methodName}' }.`);
+        }
+
+        const existing = this.findPrototypeValue(constructor.prototype, hostName);
+        if (existing.found && !methodProxies.has(existing.value)) {
+          throw new Error(`Feature Error: Method '${hostName}' exposed by the '${feature.name}' feature is already defined by ${constructor.name} or one of its ancestors. \nRemove it from the component, or rename it in the feature's static methods.`);
+        }
+
+        methods[hostName] = { feature: feature.name, method: methodName };
+      });
+    });
+
+    this.installMethodProxies(constructor, methods);
+
+    // Check every config now, including disabled features that may be enabled at runtime
+    Object.values(features).forEach(feature => {
+      this.checkConfig(feature.manifest, feature.config, `'${feature.name}' on ${constructor.name}`);
+    });
+
+    // Features published to descendants, including disabled ones so they can be enabled at runtime
+    const published = {};
+    Object.values(features).forEach(feature => {
+      if (feature.context !== undefined) published[feature.name] = feature.context;
+    });
+
+    // Consumed contexts become host properties, set by the closest ancestor that publishes them
+    const consumes = this.getInheritedConsumes(constructor);
+    Object.keys(consumes).forEach(propName => {
+      if (propertyOwners[propName]) {
+        throw new Error(`Feature Error: Property '${propName}' consumed by ${constructor.name} is also declared by the '${propertyOwners[propName]}' feature. \nConsume the context under another property name.`);
+      }
+
+      properties[propName] = { attribute: false };
+    });
+
+    // The browser reads formAssociated once, when the element is defined, so only features enabled now count
+    const formAssociated = Object.values(features).some(feature => feature.enabled && Boolean(feature.manifest.formAssociated));
+
+    constructor._featurePlan = {
+      features,
+      order: Object.keys(features),
+      properties,
+      propertyOwners,
+      styles,
+      methods,
+      published,
+      consumes,
+      formAssociated
+    };
+  }
+
+  /**
+   * Deep merges feature configs into a new object, later configs winning
+   * Objects are merged key by key, while arrays replace each other whole, so a config can
+   * shorten or clear a list it inherits.
+   * @param {...Object} configs - Configs to merge
+   * @returns {Object} The merged config
+   */
+  static mergeConfig(...configs) {
+    return mergeWith({}, ...configs, replaceArrays);
+  }
+
+  /**
+   * Returns the defaults declared in a feature's `static get configSchema`
+   * @param {Function|Object} FeatureClass - The feature class, or the manifest of a lazy feature
+   * @returns {Object} Default config values keyed by config key
+   */
+  static getConfigDefaults(FeatureClass) {
+    const schema = FeatureClass && FeatureClass.configSchema;
+    if (!schema) return {};
+
+    return Object.fromEntries(Object.entries(schema)
+      .filter(([, rule]) => 'default' in rule)
+      .map(([key, rule]) => [key, rule.default]));
+  }
+
+  /**
+   * Whether a config value matches a schema type
+   * @param {*} value - Config value
+   * @param {Function} type - Number, String, Boolean, Function, Array, Object or any class
+   * @returns {boolean}
+   */
+  static matchesType(value, type) {
+    switch (type) {
+      case Number: return typeof value === 'number' && !Number.isNaN(value);
+      case String: return typeof value === 'string';
+      case Boolean: return typeof value === 'boolean';
+      case Function: return typeof value === 'function';
+      case Array: return Array.isArray(value);
+      case Object: return typeof value === 'object' && !Array.isArray(value);
+      default: return value instanceof type;
     }
-    
-    // Get available features and their configs
-    const providedFeatures = this.getInheritedProvides(constructor);
-    const featureConfigs = this.getInheritedConfigs(constructor);
+  }
 
-    // Collect properties from all applicable features
-    Object.entries(providedFeatures).forEach(([featureName, featureDef]) => {
-      const featureConfig = featureConfigs[featureName];
+  /**
+   * Checks a config against a feature's `static get configSchema`
+   * Each schema key accepts `type` (a type or an array of types), `enum`, `required` and `default`.
+   * Keys missing from the schema are reported as unknown.
+   * @param {Function|Object} FeatureClass - The feature class, or the manifest of a lazy feature
+   * @param {Object} config - Config to check
+   * @returns {Array<string>} Problems found; empty if the config is valid or the feature has no schema
+   */
+  static validateConfig(FeatureClass, config) {
+    const schema = FeatureClass && FeatureClass.configSchema;
+    if (!schema) return [];
 
-      // Skip if feature is explicitly disabled
-      if (featureConfig === 'disable') return;
+    const problems = [];
 
-      const { class: FeatureClass, config: defaultConfig = {}, enabled = true } = featureDef;
+    Object.entries(schema).forEach(([key, rule]) => {
+      const value = config[key];
 
-      // Skip non-default features that weren't requested
-      if (!enabled) return;
+      if (value === undefined || value === null) {
+        if (rule.required) problems.push(`'${key}' is required`);
+        return;
+      }
 
-      // Get final configuration using lodash.merge
-      const finalConfig = !featureConfig
-        ? defaultConfig
-        : merge({}, defaultConfig, featureConfig.config || {});
+      const types = [].concat(rule.type || []);
+      if (types.length && !types.some(type => this.matchesType(value, type))) {
+        problems.push(`'${key}' should be ${types.map(type => type.name).join(' or ')}, got ${describeValue(value)}`);
+        return;
+      }
 
-      // Merge properties: static + config properties, with 'disable' support
-      let mergedProperties = { ...(FeatureClass.properties || {}) };
-      if (featureConfig && featureConfig.properties) {
-        Object.entries(featureConfig.properties).forEach(([propName, propValue]) => {
-          if (propValue === 'disable') {
-            delete mergedProperties[propName];
-          } else {
-            mergedProperties[propName] = propValue;
-          }
-        });
+      if (rule.enum && !rule.enum.includes(value)) {
+        problems.push(`'${key}' should be one of ${rule.enum.map(describeValue).join(', ')}, got ${describeValue(value)}`);
       }
+    });
+
+    Object.keys(config).forEach(key => {
+      if (key in schema || RESERVED_CONFIG_KEYS.includes(key)) return;
+
+      const suggestion = Object.keys(schema).find(known => editDistance(known.toLowerCase(), key.toLowerCase()) <= 2);
+      problems.push(`unknown key '${key}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`);
+    });
 
-      // Add merged properties to the registry
-      Object.entries(mergedProperties).forEach(([propName, propConfig]) => {
-        constructor._featureProperties[propName] = propConfig;
+    return problems;
+  }
+
+  /**
+   * Validates a config and reports the problems as `configValidation` says
+   * @param {Function|Object} FeatureClass - The feature class, or the manifest of a lazy feature
+   * @param {Object} config - Config to check
+   * @param {string} label - Names the feature and component in messages
+   */
+  static checkConfig(FeatureClass, config, label) {
+    if (this.configValidation === 'off') return;
+
+    const problems = this.validateConfig(FeatureClass, config);
+    if (!problems.length) return;
+
+    const message = `Invalid config for ${label}: ${problems.join('; ')}.`;
+    if (this.configValidation === 'strict') {
+      throw new Error(`Feature Error: ${message}`);
+    }
+
+    console.warn(`Feature Warning: ${message}`);
+  }
+
+  /**
+   * Collects the contexts (`static get consumes`) a component and its ancestors consume
+   * Entries map a host property to the name of a published feature, or to `{ context }` for any
+   * context key, e.g. one created with `createContext` from `@lit/context`.
+   * @returns {Object} Context keys keyed by host property name
+   */
+  static getInheritedConsumes(constructor) {
+    const consumes = {};
+
+    this.getClassChain(constructor).forEach(current => {
+      Object.entries(this.getOwnStatic(current, 'consumes')).forEach(([propName, entry]) => {
+        consumes[propName] = typeof entry === 'string' ? featureContext(entry) : entry.context;
       });
     });
 
-    constructor._featuresInitialized = true;
+    return consumes;
   }
 
   /**
-   * Initialize all features that this component has opted into
+   * Returns the methods a feature exposes on its host with `static get methods`
+   * Features return an array of method names, or an object of host method names to feature method names.
+   * @param {Function} FeatureClass - The feature class
+   * @returns {Object} Feature method names keyed by host method name
    */
-  _initializeFeatures() {
-    // Get all available features from the class hierarchy
-    const availableFeatures = FeatureManager.getInheritedProvides(this.constructor);
-
-    // Get feature configurations from the class hierarchy
-    const featureConfigs = FeatureManager.getInheritedConfigs(this.constructor);
-
-    // Process each available feature
-    Object.entries(availableFeatures).forEach(([featureName, featureDef]) => {
-      const featureConfig = featureConfigs[featureName];
-
-      // Skip if feature is explicitly disabled
-      if (featureConfig === 'disable') return;
-      
-      const { class: FeatureClass, config: defaultConfig = {}, enabled = true } = featureDef;
-      
-      // Determine if feature should be applied
-      if (!featureConfig && !enabled) return;
-      
-      // Determine final configuration using lodash.merge
-      const finalConfig = !featureConfig
-        ? defaultConfig
-        : merge({}, defaultConfig, featureConfig.config || {});
-      
-      // Create the feature
-      const featureInstance = new FeatureClass(this.host, finalConfig);
-      
-      // Store reference to feature instance
-      this._featureInstances.set(featureName, featureInstance);
-
-      // Set the host reference on the feature instance
-      if (this.host[featureName]) {
-        console.warn(`Feature Warning: Property ${featureName} is already defined on the host. Attaching with '_' prefix. \nRecommended: Change feature name via provides key to avoid conflicts.`);
-      }
-      const featureKey = this.host[featureName] ? `_${featureName}` : featureName;
-      this.host[featureKey] = featureInstance;
-
-      // Register instance properties if provided
-      if (featureInstance.properties) {
-        Object.entries(featureInstance.properties).forEach(([propName, propConfig]) => {
-          // Initialize property value if provided
-          if (propConfig.hasOwnProperty('value')) {
-            this.host[propName] = propConfig.value;
+  static getFeatureMethods(FeatureClass) {
+    const methods = FeatureClass.methods || [];
+    return Array.isArray(methods) ? Object.fromEntries(methods.map(name => [name, name])) : { ...methods };
+  }
+
+  /**
+   * Loads the class of a lazy feature, once per component class
+   * The loader may resolve to the class or to a module whose default export is the class.
+   * @param {Object} resolved - Resolved feature definition, updated with the loaded class
+   * @returns {Promise<Function>} The feature class
+   */
+  static loadFeatureClass(resolved) {
+    if (!resolved.loading) {
+      resolved.loading = Promise.resolve()
+        .then(() => resolved.load())
+        .then(loaded => {
+          const FeatureClass = typeof loaded === 'function' ? loaded : loaded && loaded.default;
+
+          if (typeof FeatureClass !== 'function') {
+            throw new Error(`Feature Error: The loader of '${resolved.name}' did not resolve to a feature class. \nResolve to the class, e.g. load: () => import('./my-feature.js').then(module => module.MyFeature).`);
           }
+
+          resolved.FeatureClass = FeatureClass;
+          resolved.isController = this.isController(FeatureClass);
+
+          // The class's own schema is known now; its defaults sit below the resolved config, as for other features
+          resolved.config = this.mergeConfig(this.getConfigDefaults(FeatureClass), resolved.config);
+          return FeatureClass;
         });
-      }
-    });
+
+      // Let the next use try again after a failed load
+      resolved.loading.catch(() => {
+        resolved.loading = undefined;
+      });
+    }
+
+    return resolved.loading;
   }
 
   /**
-   * Process lifecycle method for all registered features
-   * This allows features to hook into standard LitElement lifecycle methods
-   * This is called from the core component's lifecycle methods
-   * @param {string} methodName - Name of lifecycle method
-   * @param {Array} args - Arguments to pass to method
+   * Looks up a property on a prototype chain without invoking getters
+   * @returns {{ found: boolean, value: * }} Whether the property exists and its data value, if any
    */
-  processLifecycle(methodName, ...args) {
-    this._featureInstances.forEach(feature => {
-      if (typeof feature[methodName] === 'function') feature[methodName](...args);
-    });
+  static findPrototypeValue(prototype, name) {
+    for (let current = prototype; current; current = Object.getPrototypeOf(current)) {
+      const descriptor = Object.getOwnPropertyDescriptor(current, name);
+      if (descriptor) return { found: true, value: descriptor.value };
+    }
+
+    return { found: false, value: undefined };
+  }
+
+  /**
+   * Returns the attribute a reactive property is set from, the way Lit names it
+   * @param {string} propName - Name of the property
+   * @param {Object} options - The property's declaration
+   * @returns {string|null} The attribute name, or null if the property has no attribute
+   */
+  static getAttributeName(propName, options) {
+    if (options.attribute === false) return null;
+    return typeof options.attribute === 'string' ? options.attribute : propName.toLowerCase();
+  }
+
+  /**
+   * Creates a host method that delegates to a feature method
+   * @param {string} hostName - Name of the method on the host
+   * @param {string} featureName - Name the feature is provided under
+   * @param {string} methodName - Name of the method on the feature
+   * @returns {Function} The proxy method
+   */
+  static createMethodProxy(hostName, featureName, methodName) {
+    const proxy = function(...args) {
+      const feature = this.featureManager.getFeature(featureName);
+
+      if (!feature && this.featureManager.isLoading(featureName)) {
+        throw new Error(`Feature Error: ${hostName}() is provided by the '${featureName}' feature, which is still loading. \nAwait featureManager.whenReady('${featureName}') first.`);
+      }
+
+      if (!feature) {
+        throw new Error(`Feature Error: ${hostName}() is provided by the '${featureName}' feature, which is not enabled on this <${this.localName}>.`);
+      }
+
+      return feature[methodName](...args);
+    };
+
+    methodProxies.add(proxy);
+    return proxy;
+  }
+
+  /**
+   * Installs method proxies on a component's prototype
+   * Proxies inherited from a registered ancestor for features this class doesn't enable are hidden.
+   * @param {Function} constructor - Component class
+   * @param {Object} methods - `{ feature, method }` keyed by host method name
+   */
+  static installMethodProxies(constructor, methods) {
+    Object.entries(methods).forEach(([hostName, { feature, method }]) => {
+      Object.defineProperty(constructor.prototype, hostName, {
+        configurable: true,
+        writable: true,
+        value: this.createMethodProxy(hostName, feature, method)
+      });
+    });
+
+    for (let current = Object.getPrototypeOf(constructor.prototype); current; current = Object.getPrototypeOf(current)) {
+      Object.getOwnPropertyNames(current).forEach(name => {
+        const { value } = Object.getOwnPropertyDescriptor(current, name);
+
+        if (methodProxies.has(value) && !Object.prototype.hasOwnProperty.call(constructor.prototype, name)) {
+          Object.defineProperty(constructor.prototype, name, { configurable: true, writable: true, value: undefined });
+        }
+      });
+    }
+  }
+
+  /**
+   * Returns the styles a feature contributes with its `static get styles`
+   * Features either return styles that always apply (a CSSResult, stylesheet or array), or an
+   * object of variants keyed by name. Variants are picked with the `styleVariant` config key
+   * (a name or an array of names) and default to the `default` variant.
+   * @param {Function} FeatureClass - The feature class
+   * @param {Object} [config] - The feature's config
+   * @returns {Array} Flat list of styles
+   */
+  static getFeatureStyles(FeatureClass, config = {}) {
+    const styles = FeatureClass.styles;
+    if (!styles) return [];
+
+    if (Object.getPrototypeOf(styles) !== Object.prototype) {
+      return [styles].flat(Infinity);
+    }
+
+    const variants = config.styleVariant ? [config.styleVariant].flat() : ['default'];
+    return variants.flatMap(variant => {
+      if (!(variant in styles)) {
+        console.warn(`Feature Warning: ${FeatureClass.name} has no '${variant}' style variant. Available variants: ${Object.keys(styles).join(', ')}.`);
+        return [];
+      }
+
+      return [styles[variant]].flat(Infinity);
+    });
+  }
+
+  /**
+   * Initialize all features that this component has opted into
+   * Features are created from the class's feature plan. The plan is shared by every instance
+   * of the class, so each feature gets a shallow copy of its config; treat nested config
+   * objects as read-only. Lazy features that haven't loaded yet are created once the host connects.
+   */
+  _initializeFeatures() {
+    this._resolvedFeatures = FeatureManager.getFeaturePlan(this.constructor).features;
+
+    Object.values(this._resolvedFeatures).forEach(({ name: featureName, enabled, config, FeatureClass }) => {
+      if (!enabled) return;
+
+      if (!FeatureClass) {
+        this._pendingFeatures.set(featureName, { hooks: [], loading: undefined });
+        return;
+      }
+
+      this._createFeature(featureName, { ...config });
+    });
+  }
+
+  /**
+   * Loads the class of a pending lazy feature and creates the feature once it is ready
+   * Hooks the host ran in the meantime are then run on the feature, the host updates, and
+   * `whenReady` promises resolve. Load errors are reported like errors thrown by a hook.
+   * @param {string} featureName - Name the feature is provided under
+   */
+  _loadFeature(featureName) {
+    const pending = this._pendingFeatures.get(featureName);
+    if (!pending || pending.loading) return;
+
+    pending.loading = FeatureManager.loadFeatureClass(this._resolvedFeatures[featureName]).then(
+      () => this._finishLoading(featureName),
+      error => {
+        if (this._pendingFeatures.get(featureName) !== pending) return;
+
+        this._pendingFeatures.delete(featureName);
+        this._hideMethods(featureName);
+        this._runtimeStates.set(featureName, { enabled: false, reason: `Failed to load: ${error.message}` });
+        this._reportError(error, featureName, 'load');
+        this._settleReady(featureName, undefined, error);
+      }
+    );
+  }
+
+  /**
+   * Creates a lazy feature whose class has loaded, unless it was disabled while loading
+   * @param {string} featureName - Name the feature is provided under
+   */
+  _finishLoading(featureName) {
+    const pending = this._pendingFeatures.get(featureName);
+    if (!pending) return;
+
+    this._pendingFeatures.delete(featureName);
+
+    const resolved = this._resolvedFeatures[featureName];
+    const undeclared = Object.keys(resolved.FeatureClass.properties || {}).filter(propName => !(propName in (resolved.manifest.properties || {})));
+    if (undeclared.length) {
+      console.warn(`Feature Warning: ${resolved.FeatureClass.name} declares properties missing from the manifest of '${featureName}': ${undeclared.join(', ')}. \nAdd them to the manifest so they are reactive properties of the host.`);
+    }
+
+    const config = FeatureManager.mergeConfig(resolved.config, this._configOverrides.get(featureName));
+    try {
+      this._checkConfig(featureName, config);
+    } catch (error) {
+      this._reportError(error, featureName, 'load');
+      this._settleReady(featureName, undefined, error);
+      return;
+    }
+
+    const feature = this._createFeature(featureName, config);
+    if (!feature) return;
+
+    this._sortInstances();
+
+    // Lit calls the callbacks of controllers added to a connected host itself
+    if (!resolved.isController) {
+      pending.hooks.forEach(({ hook, args }) => {
+        if (hook === 'beforeConnectedCallback') this._callHook(featureName, feature, '_resumeResources');
+        this._callHook(featureName, feature, hook, args);
+        if (hook === 'afterDisconnectedCallback') this._callHook(featureName, feature, '_suspendResources');
+      });
+    }
+
+    this._featureStylesChanged(featureName);
+    this.host.requestUpdate();
+    this._notifyChange();
+  }
+
+  /**
+   * Checks a config changed at runtime against the feature's schema
+   * @param {string} featureName - Name the feature is provided under
+   * @param {Object} config - The feature's new config
+   */
+  _checkConfig(featureName, config) {
+    const { FeatureClass, manifest } = this._resolvedFeatures[featureName];
+    FeatureManager.checkConfig(FeatureClass || manifest, config, `'${featureName}' on <${this.host.localName}>`);
+  }
+
+  /**
+   * Settles the `whenReady` promises waiting for a feature
+   * @param {string} featureName - Name the feature is provided under
+   * @param {AuroFeature} [feature] - The feature instance to resolve with
+   * @param {Error} [error] - Why the feature couldn't be created, rejecting the promises
+   */
+  _settleReady(featureName, feature, error) {
+    const waiters = this._readyWaiters.get(featureName) || [];
+    this._readyWaiters.delete(featureName);
+
+    waiters.forEach(({ resolve, reject }) => (error ? reject(error) : resolve(feature)));
+  }
+
+  /**
+   * Creates a feature instance and attaches it to the host
+   * @param {string} featureName - Name the feature is provided under
+   * @param {Object} config - Final configuration for the feature
+   * @returns {AuroFeature|undefined} The feature instance, or undefined if its constructor threw
+   */
+  _createFeature(featureName, config) {
+    const { FeatureClass, isController } = this._resolvedFeatures[featureName];
+
+    // Controllers usually add themselves in their constructor, so the ones they add are recorded
+    const selfAdded = isController ? this._recordAddedControllers() : undefined;
+
+    // Create the feature, leaving it out if its constructor throws
+    let featureInstance;
+    const start = (this.tracing ?? FeatureManager.tracing) ? performance.now() : undefined;
+    try {
+      featureInstance = this.runFeatureCode(() => new FeatureClass(this.host, config));
+      if (start !== undefined) {
+        FeatureManager.tracer.record({ feature: featureName, hook: 'constructor', host: this.host, start, duration: performance.now() - start });
+      }
+    } catch (error) {
+      this._reportError(error, featureName, 'constructor');
+      this._settleReady(featureName, undefined, error);
+      return undefined;
+    } finally {
+      if (selfAdded) selfAdded.stop();
+    }
+
+    if (isController) {
+      // Lit calls hostConnected whenever a controller is added to a connected host, so a
+      // controller that added itself isn't added again
+      if (!selfAdded.controllers.has(featureInstance)) this.host.addController(featureInstance);
+    } else {
+      // Inject live references to the features it requires
+      featureInstance.deps = this._createDependencies(featureName);
+    }
+
+    // Store reference to feature instance
+    this._featureInstances.set(featureName, featureInstance);
+
+    // Set the host reference on the feature instance
+    if (this.host[featureName]) {
+      console.warn(`Feature Warning: Property ${featureName} is already defined on the host. Attaching with '_' prefix. \nRecommended: Change feature name via provides key to avoid conflicts.`);
+    }
+    const featureKey = this.host[featureName] ? `_${featureName}` : featureName;
+    this.host[featureKey] = featureInstance;
+    this._featureKeys.set(featureName, featureKey);
+    this._settleReady(featureName, featureInstance);
+    this._notifyContext(featureName);
+
+    // Register instance properties if provided
+    if (featureInstance.properties) {
+      Object.entries(featureInstance.properties).forEach(([propName, propConfig]) => {
+        // Initialize property value if provided
+        if (propConfig.hasOwnProperty('value')) {
+          this.runFeatureCode(() => {
+            this.host[propName] = propConfig.value;
+          });
+        }
+      });
+    }
+
+    return featureInstance;
+  }
+
+  /**
+   * Records the controllers added to the host until `stop` is called
+   * @returns {{ controllers: Set<Object>, stop: Function }}
+   */
+  _recordAddedControllers() {
+    const { host } = this;
+    const controllers = new Set();
+
+    host.addController = controller => {
+      controllers.add(controller);
+      Object.getPrototypeOf(host).addController.call(host, controller);
+    };
+
+    return { controllers, stop: () => delete host.addController };
+  }
+
+  /**
+   * Creates the `deps` object of a feature, with a live getter for every feature it requires
+   * @param {string} featureName - Name the feature is provided under
+   * @returns {Object} Required feature instances keyed by feature name
+   */
+  _createDependencies(featureName) {
+    const deps = {};
+
+    this._resolvedFeatures[featureName].requires.forEach(dependencyName => {
+      Object.defineProperty(deps, dependencyName, {
+        enumerable: true,
+        get: () => this._featureInstances.get(dependencyName)
+      });
+    });
+
+    return deps;
+  }
+
+  /**
+   * Restores initialization order after a feature was created at runtime
+   */
+  _sortInstances() {
+    this._featureInstances = new Map(FeatureManager.getFeaturePlan(this.constructor).order
+      .filter(featureName => this._featureInstances.has(featureName))
+      .map(featureName => [featureName, this._featureInstances.get(featureName)]));
+  }
+
+  /**
+   * Marks the host's styles for an update if a feature that contributes styles changed
+   * @param {string} featureName - Name the feature is provided under
+   */
+  _featureStylesChanged(featureName) {
+    if (!this._resolvedFeatures[featureName].FeatureClass.styles) return;
+
+    this._stylesChanged = true;
+    this._syncStyles();
+  }
+
+  /**
+   * Re-adopts the host's styles after features with styles were enabled, disabled or switched
+   * style variant at runtime. The class's styles only include features enabled at registration,
+   * so this swaps feature styles in the host's shadow root. Requires adoptedStyleSheets support.
+   */
+  _syncStyles() {
+    const renderRoot = this.host.renderRoot;
+    if (!this._stylesChanged || !supportsAdoptingStyleSheets || !renderRoot || renderRoot !== this.host.shadowRoot) return;
+
+    const planStyles = FeatureManager.getFeaturePlan(this.constructor).styles;
+    const componentStyles = this.constructor.elementStyles.filter(style => !planStyles.includes(style));
+    const featureStyles = [...this._featureInstances]
+      .flatMap(([featureName, feature]) => FeatureManager.getFeatureStyles(this._resolvedFeatures[featureName].FeatureClass, feature.config));
+
+    adoptStyles(renderRoot, [...featureStyles, ...componentStyles]);
+    this._stylesChanged = false;
+  }
+
+  /**
+   * Exposes the methods of a feature enabled at runtime on the host
+   * Methods already proxied on the prototype are uncovered; others are added to the instance.
+   * @param {string} featureName - Name the feature is provided under
+   */
+  _exposeMethods(featureName) {
+    this._checkMethodConflicts(featureName);
+
+    const planMethods = FeatureManager.getFeaturePlan(this.constructor).methods;
+
+    Object.entries(FeatureManager.getFeatureMethods(this._resolvedFeatures[featureName].manifest)).forEach(([hostName, methodName]) => {
+      if (Object.prototype.hasOwnProperty.call(this.host, hostName)) delete this.host[hostName];
+      if (planMethods[hostName] && planMethods[hostName].feature === featureName) return;
+
+      Object.defineProperty(this.host, hostName, {
+        configurable: true,
+        writable: true,
+        value: FeatureManager.createMethodProxy(hostName, featureName, methodName)
+      });
+    });
+  }
+
+  /**
+   * Throws if a method a feature exposes is already defined on the host's class
+   * Instance properties are left out, since exposing the methods replaces them.
+   * @param {string} featureName - Name the feature is provided under
+   */
+  _checkMethodConflicts(featureName) {
+    const planMethods = FeatureManager.getFeaturePlan(this.constructor).methods;
+    const prototype = Object.getPrototypeOf(this.host);
+
+    Object.keys(FeatureManager.getFeatureMethods(this._resolvedFeatures[featureName].manifest)).forEach(hostName => {
+      if (planMethods[hostName] && planMethods[hostName].feature === featureName) return;
+
+      if (prototype[hostName] !== undefined) {
+        throw new Error(`Feature Error: Method '${hostName}' exposed by the '${featureName}' feature is already defined on this <${this.host.localName}>.`);
+      }
+    });
+  }
+
+  /**
+   * Removes the methods of a feature disabled at runtime from the host
+   * @param {string} featureName - Name the feature is provided under
+   */
+  _hideMethods(featureName) {
+    const planMethods = FeatureManager.getFeaturePlan(this.constructor).methods;
+
+    Object.keys(FeatureManager.getFeatureMethods(this._resolvedFeatures[featureName].manifest)).forEach(hostName => {
+      if (Object.prototype.hasOwnProperty.call(this.host, hostName)) delete this.host[hostName];
+
+      // Shadow the prototype proxy so the method is gone from this instance only
+      if (planMethods[hostName] && planMethods[hostName].feature === featureName) {
+        Object.defineProperty(this.host, hostName, { configurable: true, writable: true, value: undefined });
+      }
+    });
+  }
+
+  /**
+   * Returns the resolved feature definition, throwing if the feature isn't provided
+   * @param {string} featureName - Name the feature is provided under
+   * @returns {Object} Resolved feature definition
+   */
+  _getResolvedFeature(featureName) {
+    const resolved = this._resolvedFeatures[featureName];
+
+    if (!resolved) {
+      throw new Error(`Feature Error: '${featureName}' is not provided by ${this.constructor.name} or any of its ancestors.`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Makes sure every property of a feature enabled at runtime is a reactive property of the host.
+   * Features disabled at registration time don't contribute properties to the class, so they are
+   * created on demand. Attributes of properties created this way are not observed, because the
+   * browser reads `observedAttributes` only once when the element is defined.
+   * @param {Object} resolved - Resolved feature definition
+   */
+  _ensureFeatureProperties(resolved) {
+    Object.entries(resolved.properties).forEach(([propName, propConfig]) => {
+      const owner = [...this._featureInstances.keys()].find(name => propName in this._resolvedFeatures[name].properties);
+
+      if (owner) {
+        throw new Error(`Feature Error: Property '${propName}' is declared by both the '${owner}' and '${resolved.name}' features on ${this.constructor.name}. \nDisable it on one of them via static features, e.g. ${resolved.name}: { properties: { ${propName}: 'disable' } }.`);
+      }
+
+      if (!this.constructor.elementProperties.has(propName)) {
+        this.constructor.createProperty(propName, propConfig);
+      }
+    });
+  }
+
+  /**
+   * Tears down a feature instance the way `disable()` does: runs its disconnected hooks if the
+   * host is connected, then disposes its resources and detaches it from the host
+   * @param {string} featureName - Name the feature is provided under
+   */
+  _removeFeature(featureName) {
+    if (this._hostConnected) {
+      // Lit doesn't call hostDisconnected when a controller is removed, so it is called here
+      this._runHooks(featureName, this._resolvedFeatures[featureName].isController
+        ? ['hostDisconnected']
+        : ['beforeDisconnectedCallback', 'disconnectedCallback', 'afterDisconnectedCallback']);
+    }
+
+    this._detachFeature(featureName);
+  }
+
+  /**
+   * Disposes a feature instance's managed resources and detaches it from the host, without
+   * running any lifecycle hooks
+   * @param {string} featureName - Name the feature is provided under
+   */
+  _detachFeature(featureName) {
+    const feature = this._featureInstances.get(featureName);
+    this._callHook(featureName, feature, '_disposeResources');
+
+    if (this._resolvedFeatures[featureName].isController) {
+      this.host.removeController(feature);
+    }
+
+    this._featureInstances.delete(featureName);
+    delete this.host[this._featureKeys.get(featureName)];
+    this._featureKeys.delete(featureName);
+    this._notifyContext(featureName);
+  }
+
+  /**
+   * Sends a published feature's current instance to the descendants consuming it
+   * @param {string} featureName - Name the feature is provided under
+   */
+  _notifyContext(featureName) {
+    if (this._contextProvider) this._contextProvider.notify(featureName);
+  }
+
+  /**
+   * Runs a set of lifecycle hooks on a single feature
+   * @param {string} featureName - Name the feature is provided under
+   * @param {Array<string>} hooks - Names of the hooks to run, in order
+   */
+  _runHooks(featureName, hooks) {
+    hooks.forEach(hook => {
+      const feature = this._featureInstances.get(featureName);
+      if (feature) this._callHook(featureName, feature, hook);
+    });
+  }
+
+  /**
+   * Calls a hook on a feature, isolating the host and other features from anything it throws
+   * @param {string} featureName - Name the feature is provided under
+   * @param {AuroFeature} feature - The feature instance
+   * @param {string} hook - Name of the hook
+   * @param {Array} [args] - Arguments to pass to the hook
+   * When tracing is on, the call is timed; only the synchronous part of async hooks is measured.
+   * @returns {*} What the hook returned, or undefined if it threw or isn't implemented
+   */
+  _callHook(featureName, feature, hook, args = []) {
+    if (typeof feature[hook] !== 'function') return undefined;
+
+    // Internal hooks like `_resumeResources` aren't traced
+    const start = (this.tracing ?? FeatureManager.tracing) && !hook.startsWith('_') ? performance.now() : undefined;
+
+    try {
+      return this.runFeatureCode(() => feature[hook](...args));
+    } catch (error) {
+      this._reportError(error, featureName, hook);
+      return undefined;
+    } finally {
+      if (start !== undefined) {
+        FeatureManager.tracer.record({ feature: featureName, hook, host: this.host, start, duration: performance.now() - start });
+      }
+    }
+  }
+
+  /**
+   * Reports an error thrown by a feature
+   * Calls the configured error handler, dispatches a `feature-error` event on the host and,
+   * when the error policy says so, disables the feature after repeated errors.
+   * @param {Error} error - What the feature threw
+   * @param {string} featureName - Name the feature is provided under
+   * @param {string} hook - Name of the hook that threw, or 'constructor'
+   */
+  _reportError(error, featureName, hook) {
+    const { handler, disableAfter } = { ...FeatureManager.errorOptions, ...this.constructor.featureErrorOptions };
+
+    const failures = (this._failureCounts.get(featureName) || 0) + 1;
+    this._failureCounts.set(featureName, failures);
+
+    const report = { error, feature: featureName, hook, host: this.host, failures };
+    handler(report);
+    this.host.dispatchEvent(new CustomEvent('feature-error', { detail: report, bubbles: true, composed: true }));
+    this._notifyChange();
+
+    if (disableAfter > 0 && failures >= disableAfter && this.isEnabled(featureName) && !this._autoDisabling.has(featureName)) {
+      this._autoDisabling.add(featureName);
+
+      try {
+        this.disable(featureName, `Disabled after ${failures} errors, the last one in ${hook}`);
+      } catch (disableError) {
+        console.warn(`Feature Warning: Could not disable '${featureName}' after repeated errors.`, disableError);
+      } finally {
+        this._autoDisabling.delete(featureName);
+      }
+    }
+  }
+
+  /**
+   * Enables a feature on the host at runtime
+   * The feature is created with its resolved config, merged with any config patches applied
+   * through `configure()` and the optional `config` argument. If the host is connected, the
+   * feature's connected hooks run immediately. Features it requires are enabled first.
+   * Enabling a feature that is already enabled only applies `config` as a patch.
+   * Lazy features that haven't loaded yet start loading; use `whenReady` to wait for them.
+   * @param {string} featureName - Name the feature is provided under
+   * @param {Object} [config] - Config to merge over the feature's resolved config
+   * @param {string} [reason] - Reason reported by `explain()`
+   * @returns {AuroFeature|undefined} The feature instance, or undefined if it is loading or its constructor threw
+   */
+  enable(featureName, config, reason = 'Enabled at runtime via featureManager.enable()') {
+    if (this.isEnabled(featureName) || this.isLoading(featureName)) {
+      if (config) this.configure(featureName, config);
+      return this._featureInstances.get(featureName);
+    }
+
+    const resolved = this._getResolvedFeature(featureName);
+
+    // Checked before anything changes, so a conflict doesn't leave the feature half-enabled
+    this._checkMethodConflicts(featureName);
+
+    // Required features are enabled first so they exist when this feature is created
+    resolved.requires.forEach(dependencyName => {
+      if (!this.isEnabled(dependencyName)) {
+        this.enable(dependencyName, undefined, `Enabled because '${featureName}' requires it`);
+      }
+    });
+
+    this._ensureFeatureProperties(resolved);
+
+    if (config) {
+      const overrides = FeatureManager.mergeConfig(this._configOverrides.get(featureName), config);
+      this._checkConfig(featureName, FeatureManager.mergeConfig(resolved.config, overrides));
+      this._configOverrides.set(featureName, overrides);
+    }
+
+    if (!resolved.FeatureClass) {
+      const hooks = this._hostConnected ? ['beforeConnectedCallback', 'connectedCallback', 'afterConnectedCallback'] : [];
+      this._pendingFeatures.set(featureName, { hooks: hooks.map(hook => ({ hook, args: [] })), loading: undefined });
+      this._exposeMethods(featureName);
+      this._runtimeStates.set(featureName, { enabled: true, reason });
+      this._loadFeature(featureName);
+      this._notifyChange();
+      return undefined;
+    }
+
+    const finalConfig = FeatureManager.mergeConfig(resolved.config, this._configOverrides.get(featureName));
+    const feature = this._createFeature(featureName, finalConfig);
+    if (!feature) return undefined;
+
+    this._sortInstances();
+    this._exposeMethods(featureName);
+    this._runtimeStates.set(featureName, { enabled: true, reason });
+
+    if (this._hostConnected) {
+      this._runHooks(featureName, ['beforeConnectedCallback', 'connectedCallback', 'afterConnectedCallback']);
+    }
+
+    this._featureStylesChanged(featureName);
+    this.host.requestUpdate();
+    this._notifyChange();
+    return feature;
+  }
+
+  /**
+   * Disables a feature on the host at runtime
+   * If the host is connected, the feature's disconnected hooks run before it is detached
+   * from the host. Disabling a feature that isn't enabled does nothing. Disabling a feature
+   * that an enabled feature requires throws.
+   * @param {string} featureName - Name the feature is provided under
+   * @param {string} [reason] - Reason reported by `explain()`
+   */
+  disable(featureName, reason = 'Disabled at runtime via featureManager.disable()') {
+    this._getResolvedFeature(featureName);
+
+    const dependents = [...this._featureInstances.keys(), ...this._pendingFeatures.keys()]
+      .filter(name => this._resolvedFeatures[name].requires.includes(featureName));
+    if (dependents.length) {
+      throw new Error(`Feature Error: Cannot disable '${featureName}' on ${this.constructor.name} because ${dependents.map(name => `'${name}'`).join(', ')} requires it. \nDisable the dependent features first.`);
+    }
+
+    this._runtimeStates.set(featureName, { enabled: false, reason });
+
+    // A lazy feature disabled while loading is never created
+    if (this._pendingFeatures.delete(featureName)) {
+      this._hideMethods(featureName);
+    } else if (this._featureInstances.has(featureName)) {
+      this._removeFeature(featureName);
+      this._hideMethods(featureName);
+      this._featureStylesChanged(featureName);
+      this.host.requestUpdate();
+    }
+
+    this._notifyChange();
+  }
+
+  /**
+   * Merges a config patch into a feature's config at runtime
+   * Enabled features receive the new config and have their `configChanged` hook called.
+   * Before the host has ever connected, the feature is recreated instead, so that its
+   * constructor sees the final config. Patches for disabled features are kept and applied
+   * when the feature is enabled.
+   * @param {string} featureName - Name the feature is provided under
+   * @param {Object} patch - Config values to merge over the current config
+   */
+  configure(featureName, patch) {
+    const resolved = this._getResolvedFeature(featureName);
+    const overrides = FeatureManager.mergeConfig(this._configOverrides.get(featureName), patch);
+
+    // Checked before anything changes, so a strict failure leaves the feature as it was
+    this._checkConfig(featureName, FeatureManager.mergeConfig(resolved.config, overrides));
+    this._configOverrides.set(featureName, overrides);
+
+    this._notifyChange();
+
+    const feature = this._featureInstances.get(featureName);
+
+    if (!feature) return;
+
+    if (!this._hasConnected) {
+      this._removeFeature(featureName);
+      this._createFeature(featureName, FeatureManager.mergeConfig(resolved.config, this._configOverrides.get(featureName)));
+      this._sortInstances();
+      if ('styleVariant' in patch) this._featureStylesChanged(featureName);
+      return;
+    }
+
+    const oldConfig = feature.config;
+    const newConfig = FeatureManager.mergeConfig(oldConfig, patch);
+    feature.config = newConfig;
+
+    this._callHook(featureName, feature, 'configChanged', [oldConfig, newConfig]);
+
+    if (oldConfig.styleVariant !== newConfig.styleVariant) {
+      this._featureStylesChanged(featureName);
+    }
+
+    this.host.requestUpdate();
+  }
+
+  /**
+   * Parses a JSON feature config, e.g. from the `features` attribute
+   * @param {string} value - JSON string
+   * @param {string} source - Where the JSON came from, used in warnings
+   * @returns {Object} Parsed feature config, or an empty object if the JSON is invalid
+   */
+  static parseInstanceConfig(value, source = 'features attribute') {
+    if (!value) return {};
+
+    try {
+      const parsed = JSON.parse(value);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+      console.warn(`Feature Warning: The ${source} must be a JSON object keyed by feature name. Ignoring it.`);
+    } catch (error) {
+      console.warn(`Feature Warning: The ${source} is not valid JSON. Ignoring it.`, error);
+    }
+
+    return {};
+  }
+
+  /**
+   * Collects per-instance feature config from the host's markup and properties
+   * Sources are merged in this order, later sources winning:
+   * 1. A child `<script type="application/json" slot="features">` block
+   * 2. The `featureConfig` property, which is also set by the `features` attribute
+   * @returns {Object} Instance feature config keyed by feature name
+   */
+  static getInstanceConfig(host) {
+    let configs = {};
+
+    const script = host.querySelector(':scope > script[type="application/json"][slot="features"]');
+    if (script) {
+      configs = this.mergeConfig(configs, this.parseInstanceConfig(script.textContent, '<script slot="features"> block'));
+    }
+
+    if (host.featureConfig) {
+      configs = this.mergeConfig(configs, host.featureConfig);
+    }
+
+    return configs;
+  }
+
+  /**
+   * Normalizes an entry of a per-instance feature config into `{ enabled, config }`
+   * Entries accept the same shape as `static get features` (`{ enabled, config }` or the
+   * `'disable'`/`'enable'` shorthands), booleans, or a plain object that is used as the config.
+   * @returns {Object} Normalized instance entry
+   */
+  static normalizeInstanceEntry(entry) {
+    if (typeof entry === 'boolean') return { enabled: entry, config: {} };
+
+    if (typeof entry === 'string' || ['enabled', 'config', 'properties'].some(key => entry && key in entry)) {
+      const { enabled, config, properties } = this.normalizeFeatureEntry(entry);
+      if (Object.keys(properties).length) {
+        console.warn('Feature Warning: Property overrides can only be set in static features and are ignored in instance feature config.');
+      }
+      return { enabled, config };
+    }
+
+    return { enabled: undefined, config: entry || {} };
+  }
+
+  /**
+   * Applies per-instance feature config on top of the class-level configs
+   * Features can be enabled, disabled and configured per instance. Config is deep merged
+   * over the resolved class config. Before the host first connects this happens without
+   * running any hooks; afterwards it goes through `enable`, `disable` and `configure`.
+   * @param {Object} [configs] - Instance config keyed by feature name, read from the host by default
+   */
+  applyInstanceConfig(configs = FeatureManager.getInstanceConfig(this.host)) {
+    this._appliedInstanceConfig = this.host.featureConfig;
+
+    Object.entries(configs).forEach(([featureName, entry]) => {
+      if (!this._resolvedFeatures[featureName]) {
+        console.warn(`Feature Warning: Instance feature config for '${featureName}' is ignored because ${this.constructor.name} does not provide it.`);
+        return;
+      }
+
+      const { enabled, config } = FeatureManager.normalizeInstanceEntry(entry);
+      const hasConfig = Object.keys(config).length > 0;
+
+      // Instance config comes from markup, so a bad entry is skipped rather than breaking the host
+      try {
+        if (enabled === false) {
+          if (hasConfig) this.configure(featureName, config);
+          this.disable(featureName, 'Disabled by instance feature config');
+        } else if (enabled === true && !this.isEnabled(featureName)) {
+          this.enable(featureName, hasConfig ? config : undefined, 'Enabled by instance feature config');
+        } else if (hasConfig) {
+          this.configure(featureName, config);
+        }
+      } catch (error) {
+        console.warn(`Feature Warning: Instance feature config for '${featureName}' on <${this.host.localName}> is ignored because it could not be applied.`, error);
+      }
+    });
+  }
+
+  /**
+   * Sets a reactive property of the host on behalf of a feature, e.g. for one feature to drive
+   * another feature's properties. Features call it through `this.setHostProperty`.
+   * Explicit values take precedence and are left alone: a property whose attribute is in the markup
+   * when the host first connects, or that is changed from outside the features.
+   * Removing the property's attribute lets features set it again.
+   * @param {string} propName - Name of the property
+   * @param {*} value - Value to set
+   * @param {AuroFeature} feature - The feature setting it
+   * @returns {boolean} Whether the value was applied
+   */
+  setFeatureProperty(propName, value, feature) {
+    if (!this.constructor.elementProperties.has(propName)) {
+      const entry = [...this._featureInstances].find(([, instance]) => instance === feature);
+      const setBy = entry ? entry[0] : feature.constructor.name;
+      throw new Error(`Feature Error: '${setBy}' sets '${propName}' on <${this.host.localName}>, which isn't a reactive property of the host. \nEnable the feature that declares it, or declare it on the component.`);
+    }
+
+    if (this._explicitProperties.has(propName)) return false;
+
+    this.runFeatureCode(() => {
+      this.host[propName] = value;
+    });
+    return true;
+  }
+
+  /**
+   * Runs feature code, so the host property changes it makes count as the features' own rather
+   * than explicit. Hooks, feature constructors and writes through feature properties run this way.
+   * @param {Function} callback - The feature code
+   * @returns {*} What the callback returned
+   */
+  runFeatureCode(callback) {
+    this._featureCodeDepth += 1;
+
+    try {
+      return callback();
+    } finally {
+      this._featureCodeDepth -= 1;
+    }
+  }
+
+  /**
+   * Records a change to a reactive property of the host; called from the host's `requestUpdate`
+   * A change made from outside the features makes the property explicit, including one made before
+   * the first update, unless it comes from removing the property's attribute.
+   * @param {string} propName - Name of the changed property
+   */
+  propertyChanged(propName) {
+    if (this._featureCodeDepth || this._releasedProperties.has(propName)) return;
+
+    if (this.constructor.elementProperties.has(propName)) this._explicitProperties.add(propName);
+  }
+
+  /**
+   * Whether a property was set explicitly, so `setFeatureProperty` leaves it alone
+   * @param {string} propName - Name of the property
+   * @returns {boolean}
+   */
+  isPropertyExplicit(propName) {
+    return this._explicitProperties.has(propName);
+  }
+
+  /**
+   * Records the properties whose attributes are in the markup, before anything reflects to attributes
+   */
+  _recordExplicitAttributes() {
+    this.constructor.elementProperties.forEach((options, propName) => {
+      const attribute = FeatureManager.getAttributeName(propName, options);
+      if (attribute && this.host.hasAttribute(attribute)) this._explicitProperties.add(propName);
+    });
+  }
+
+  /**
+   * Lets features set a property again once its attribute is removed
+   * @param {string} attribute - Name of the attribute that changed
+   * @param {string|null} newValue - Its new value
+   */
+  _releaseExplicitAttribute(attribute, newValue) {
+    if (newValue !== null) return;
+
+    this.constructor.elementProperties.forEach((options, propName) => {
+      if (FeatureManager.getAttributeName(propName, options) !== attribute) return;
+
+      this._explicitProperties.delete(propName);
+      this._releasedProperties.add(propName);
+    });
+  }
+
+  /**
+   * Whether the host has been connected at least once
+   * @returns {boolean}
+   */
+  get hasConnected() {
+    return this._hasConnected;
+  }
+
+  /**
+   * Whether the given instance config has already been applied
+   * @param {Object} config - Value of the host's `featureConfig` property
+   * @returns {boolean}
+   */
+  isInstanceConfigApplied(config) {
+    return this._appliedInstanceConfig === config;
+  }
+
+  /**
+   * Returns the instance of an enabled feature
+   * @param {string} featureName - Name the feature is provided under
+   * @returns {AuroFeature|undefined} The feature instance, or undefined if it isn't enabled
+   */
+  getFeature(featureName) {
+    return this._featureInstances.get(featureName);
+  }
+
+  /**
+   * Whether a feature is currently active on the host
+   * @param {string} featureName - Name the feature is provided under
+   * @returns {boolean}
+   */
+  isEnabled(featureName) {
+    return this._featureInstances.has(featureName);
+  }
+
+  /**
+   * Whether an enabled lazy feature is waiting for its class to load
+   * Loading starts when the host connects or the feature is enabled at runtime.
+   * @param {string} featureName - Name the feature is provided under
+   * @returns {boolean}
+   */
+  isLoading(featureName) {
+    return this._pendingFeatures.has(featureName);
+  }
+
+  /**
+   * Waits for a feature to be created on the host
+   * Resolves immediately for enabled features. Otherwise resolves when the feature has loaded,
+   * or when it is enabled later, and rejects if it fails to load or its constructor throws.
+   * @param {string} featureName - Name the feature is provided under
+   * @returns {Promise<AuroFeature>} The feature instance
+   */
+  whenReady(featureName) {
+    try {
+      this._getResolvedFeature(featureName);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    if (this.isEnabled(featureName)) {
+      return Promise.resolve(this._featureInstances.get(featureName));
+    }
+
+    return new Promise((resolve, reject) => {
+      this._readyWaiters.set(featureName, [...(this._readyWaiters.get(featureName) || []), { resolve, reject }]);
+    });
+  }
+
+  /**
+   * Explains why a feature is or isn't active on the host
+   * @param {string} featureName - Name the feature is provided under
+   * @returns {{ name: string, enabled: boolean, reason: string, providedBy: Function|null, decidedBy: Function|null }}
+   */
+  explain(featureName) {
+    const explanation = FeatureManager.explain(this.constructor, featureName);
+
+    if (this._runtimeStates.has(featureName)) {
+      const { enabled, reason } = this._runtimeStates.get(featureName);
+      return { ...explanation, enabled, reason, decidedBy: null };
+    }
+
+    return explanation;
+  }
+
+  /**
+   * Summarizes the traced hook timings of this host per feature and hook
+   * Turn tracing on first with `featureManager.tracing = true` or `FeatureManager.tracing = true`.
+   * @returns {Array<{ feature: string, hook: string, count: number, total: number, mean: number, p95: number, max: number }>}
+   */
+  traceSummary() {
+    return FeatureManager.tracer.summary(this.host);
+  }
+
+  /**
+   * Describes the features of the host as they are right now, for debugging
+   * Extends `FeatureManager.describe` with the runtime state of each feature: whether it is
+   * enabled and why, its current config and config patches, the current values of its
+   * properties and how many errors it threw. Consumed contexts include their current values.
+   * @returns {Object} The host's feature description
+   */
+  inspect() {
+    const description = FeatureManager.describe(this.constructor);
+
+    return {
+      ...description,
+      host: this.host,
+      connected: this._hostConnected,
+      features: description.features.map(feature => {
+        const instance = this._featureInstances.get(feature.name);
+        const { enabled, reason, decidedBy } = this.explain(feature.name);
+
+        return {
+          ...feature,
+          enabled,
+          reason,
+          decidedBy,
+          active: Boolean(instance),
+          loading: this.isLoading(feature.name),
+          instance,
+          config: instance ? instance.config : FeatureManager.mergeConfig(feature.config, this._configOverrides.get(feature.name)),
+          configOverrides: this._configOverrides.get(feature.name) || {},
+          values: Object.fromEntries(feature.properties.map(propName => [propName, this.host[propName]])),
+          errors: this._failureCounts.get(feature.name) || 0
+        };
+      }),
+      consumes: Object.fromEntries(Object.entries(description.consumes)
+        .map(([propName, context]) => [propName, { context, value: this.host[propName] }]))
+    };
+  }
+
+  /**
+   * Calls a function whenever what `inspect()` reports may have changed: after the host connects,
+   * updates or disconnects, when features are enabled, disabled, configured or loaded, and when a
+   * feature throws. Changes are batched, so the function is called once per microtask at most.
+   * @param {Function} listener - Called with the FeatureManager
+   * @returns {Function} Removes the listener
+   */
+  subscribe(listener) {
+    this._changeListeners.add(listener);
+    return () => this._changeListeners.delete(listener);
+  }
+
+  /**
+   * Schedules a call to the `subscribe` listeners
+   */
+  _notifyChange() {
+    if (!this._changeListeners.size || this._changeNotificationPending) return;
+
+    this._changeNotificationPending = true;
+    queueMicrotask(() => {
+      this._changeNotificationPending = false;
+      this._changeListeners.forEach(listener => listener(this));
+    });
+  }
+
+  /**
+   * Process lifecycle method for all registered features
+   * This allows features to hook into standard LitElement lifecycle methods
+   * This is called from the core component's lifecycle methods
+   * Each hook call is isolated: a feature that throws is reported and the remaining features still run.
+   * Connection and first-update hooks are queued for lazy features that are still loading.
+   * @param {string} methodName - Name of lifecycle method
+   * @param {Array} args - Arguments to pass to method
+   */
+  processLifecycle(methodName, ...args) {
+    if (QUEUED_HOOKS.includes(methodName)) {
+      this._pendingFeatures.forEach(pending => pending.hooks.push({ hook: methodName, args }));
+    }
+
+    if (methodName === 'beforeConnectedCallback') {
+      if (!this._hasConnected) this._recordExplicitAttributes();
+
+      this._hostConnected = true;
+      this._hasConnected = true;
+
+      // Re-arm listeners and observers that were torn down when the host disconnected
+      this._featureInstances.forEach((feature, featureName) => this._callHook(featureName, feature, '_resumeResources'));
+
+      // Lazy features are loaded on first use, which is when the host connects
+      this._pendingFeatures.forEach((pending, featureName) => this._loadFeature(featureName));
+
+      // Publish first, so a host can consume from its ancestors what it publishes to its descendants
+      if (this._contextProvider) this._contextProvider.connected();
+      if (this._contextConsumer) this._contextConsumer.connected();
+    }
+
+    // The shadow root exists once the host connected, so style changes made before that apply now
+    if (methodName === 'connectedCallback') {
+      this._syncStyles();
+    }
+
+    if (methodName === 'beforeAttributeChangedCallback') {
+      this._releaseExplicitAttribute(args[0], args[2]);
+    }
+
+    // The property was set from the removed attribute by now
+    if (methodName === 'afterAttributeChangedCallback') {
+      this._releasedProperties.clear();
+    }
+
+    this._featureInstances.forEach((feature, featureName) => {
+      this._callHook(featureName, feature, methodName, args);
+    });
+
+    if (methodName === 'afterDisconnectedCallback') {
+      this._hostConnected = false;
+
+      // Tear down listeners, observers, timers and disposables created through the feature helpers
+      this._featureInstances.forEach((feature, featureName) => this._callHook(featureName, feature, '_suspendResources'));
+
+      if (this._contextProvider) this._contextProvider.disconnected();
+      if (this._contextConsumer) this._contextConsumer.disconnected();
+    }
+
+    if (CHANGE_HOOKS.includes(methodName)) this._notifyChange();
+  }
+
+  /**
+   * Calls a lifecycle method on every feature and collects the results
+   * Used for hooks whose results the host combines, like `shouldUpdate`
+   * @param {string} methodName - Name of lifecycle method
+   * @param {Array} args - Arguments to pass to method
+   * @returns {Array} Results in feature order; undefined for features that don't implement the method or threw
+   */
+  collectLifecycle(methodName, ...args) {
+    return [...this._featureInstances].map(([featureName, feature]) => this._callHook(featureName, feature, methodName, args));
+  }
+
+  /**
+   * Collects what enabled features render into a named region of the host's template
+   * Features opt in by implementing `renderContribution(region)`; returning nothing renders nothing.
+   * @param {string} region - Name of the region
+   * @returns {Array} Rendered contributions, in feature order
+   */
+  renderRegion(region) {
+    return this.collectLifecycle('renderContribution', region)
+      .filter(contribution => contribution !== undefined && contribution !== null && contribution !== nothing);
+  }
+
+  /**
+   * Waits for the `getUpdateComplete` hooks of all features
+   * A hook that throws or rejects is reported and doesn't hold up the host.
+   * @returns {Promise<boolean>} False if any feature reports another update pending
+   */
+  async getUpdateComplete() {
+    const results = await Promise.all([...this._featureInstances].map(async ([featureName, feature]) => {
+      try {
+        return await this._callHook(featureName, feature, 'getUpdateComplete');
+      } catch (error) {
+        this._reportError(error, featureName, 'getUpdateComplete');
+        return true;
+      }
+    }));
+
+    return results.every(result => result !== false);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,113 @@
+/**
+ * Records how long feature hooks take, in a fixed-size ring buffer
+ * Records are `{ feature, hook, host, start, duration }`, with times in milliseconds from
+ * `performance.now()`. When the buffer is full, the oldest records are overwritten.
+ */
+export class FeatureTracer {
+
+  // Records in insertion order once `_next` wraps around
+  _records = [];
+
+  // Index the next record is written to
+  _next = 0;
+
+  // Functions called with every record
+  _listeners = new Set();
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size] - Number of records kept
+   * @param {boolean} [options.performance] - Also add a `performance.measure` entry per record,
+   *   named `auro-feature:<feature>:<hook>`, so hooks show up in the browser's performance tools
+   */
+  constructor({ size = 2000, performance = false } = {}) {
+    this.size = size;
+    this.performance = performance;
+  }
+
+  /**
+   * Adds a record to the buffer
+   * @param {{ feature: string, hook: string, host: HTMLElement, start: number, duration: number }} record
+   */
+  record(record) {
+    if (this._records.length < this.size) {
+      this._records.push(record);
+    } else {
+      this._records[this._next] = record;
+    }
+    this._next = (this._next + 1) % this.size;
+
+    if (this.performance) {
+      performance.measure(`auro-feature:${record.feature}:${record.hook}`, {
+        start: record.start,
+        duration: record.duration,
+        detail: { host: record.host.localName }
+      });
+    }
+
+    this._listeners.forEach(listener => listener(record));
+  }
+
+  /**
+   * Calls a function with every new record
+   * @param {Function} listener - Called with each record
+   * @returns {Function} Removes the listener
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Returns the buffered records, oldest first
+   * @param {HTMLElement} [host] - Only return records of this host
+   * @returns {Array<Object>}
+   */
+  records(host) {
+    const ordered = this._records.length < this.size
+      ? [...this._records]
+      : [...this._records.slice(this._next), ...this._records.slice(0, this._next)];
+
+    return host ? ordered.filter(record => record.host === host) : ordered;
+  }
+
+  /**
+   * Empties the buffer
+   */
+  clear() {
+    this._records = [];
+    this._next = 0;
+  }
+
+  /**
+   * Summarizes the buffered records per feature and hook, slowest total first
+   * @param {HTMLElement} [host] - Only summarize records of this host
+   * @returns {Array<{ feature: string, hook: string, count: number, total: number, mean: number, p95: number, max: number }>}
+   */
+  summary(host) {
+    const groups = new Map();
+
+    this.records(host).forEach(({ feature, hook, duration }) => {
+      const key = `${feature}\u0000${hook}`;
+      if (!groups.has(key)) groups.set(key, { feature, hook, durations: [] });
+      groups.get(key).durations.push(duration);
+    });
+
+    return [...groups.values()]
+      .map(({ feature, hook, durations }) => {
+        const sorted = durations.sort((a, b) => a - b);
+        const total = sorted.reduce((sum, duration) => sum + duration, 0);
+
+        return {
+          feature,
+          hook,
+          count: sorted.length,
+          total,
+          mean: total / sorted.length,
+          p95: sorted[Math.ceil(sorted.length * 0.95) - 1],
+          max: sorted[sorted.length - 1]
+        };
+      })
+      .sort((a, b) => b.total - a.total);
+  }
+}
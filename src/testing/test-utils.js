@@ -0,0 +1,355 @@
+import { AuroCore } from '../root/auro-core.js';
+import { FeatureManager } from '../root/services/feature-manager.js';
+
+/**
+ * Test utilities for features
+ *
+ * - `FakeHost` stands in for a component, so a feature can be tested without registering a custom element
+ * - `mountFeature` creates a feature on a fake host and drives its lifecycle hooks
+ * - `defineTestComponent` and `fixture` register and render a real AuroCore component for integration tests
+ *   under a headless DOM like happy-dom
+ *
+ * Unlike the FeatureManager, the fake host doesn't isolate errors, so anything a hook throws fails the test.
+ */
+
+// Used to give every test component a unique tag name
+let testComponentCount = 0;
+
+// Lit's default check for whether a property changed
+function hasChanged(value, oldValue) {
+  return oldValue !== value && !(Number.isNaN(oldValue) && Number.isNaN(value));
+}
+
+/**
+ * A stand-in for a component that implements the reactive surface of a Lit host:
+ * - reactive properties that call `requestUpdate` with their old value when they change, declared in
+ *   the static `elementProperties` map of the host's class
+ * - batched updates with a `changedProperties` map, awaited through `updateComplete`
+ * - attribute reflection for properties declared with `reflect: true`
+ * - events, attributes, `tabIndex`, and `addController`/`removeController`
+ *
+ * Updates only run while the host is connected, like Lit. Features attached with `attachFeature`
+ * have their hooks called in the same order as on an AuroCore component.
+ */
+export class FakeHost extends EventTarget {
+
+  // Values of reactive properties
+  _values = new Map();
+
+  // Changes collected for the next update, with the value before the first change
+  _changedProperties = new Map();
+
+  // Attribute values, keyed by lowercase name
+  _attributes = new Map();
+
+  // Features whose hooks the host calls
+  _features = [];
+
+  // Lit ReactiveControllers added to the host
+  _controllers = new Set();
+
+  _updatePromise = Promise.resolve(true);
+
+  isConnected = false;
+  isUpdatePending = false;
+  hasUpdated = false;
+
+  // FakeHost has no render root; features that render contributions are called directly
+  renderRoot = null;
+  shadowRoot = null;
+
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.properties] - Reactive properties, declared like Lit's `static properties`
+   * @param {string} [options.localName] - Tag name reported by the host
+   */
+  constructor({ properties = {}, localName = 'fake-host' } = {}) {
+    super();
+
+    // Lit declares properties per class, so every fake host gets a class of its own
+    const HostClass = class extends new.target {};
+    HostClass.elementProperties = new Map();
+    Object.setPrototypeOf(this, HostClass.prototype);
+
+    this.localName = localName;
+    this.createProperties(properties);
+  }
+
+  /**
+   * Makes properties reactive on this host
+   * @param {Object} properties - Property declarations keyed by property name
+   */
+  createProperties(properties) {
+    Object.entries(properties).forEach(([name, options]) => {
+      if (this.constructor.elementProperties.has(name)) return;
+
+      this.constructor.elementProperties.set(name, options);
+      Object.defineProperty(this, name, {
+        configurable: true,
+        enumerable: true,
+        get: () => this._values.get(name),
+        set: value => {
+          const oldValue = this._values.get(name);
+          this._values.set(name, value);
+
+          if (hasChanged(value, oldValue)) this.requestUpdate(name, oldValue);
+        }
+      });
+    });
+  }
+
+  /**
+   * Schedules an update, recording the old value of a changed property
+   * @param {string} [name] - Name of the changed property
+   * @param {*} [oldValue] - Its value before the change
+   */
+  requestUpdate(name, oldValue) {
+    if (name !== undefined && !this._changedProperties.has(name)) {
+      this._changedProperties.set(name, oldValue);
+    }
+
+    if (this.isUpdatePending || !this.isConnected) return;
+
+    this.isUpdatePending = true;
+    this._updatePromise = Promise.resolve().then(() => this.performUpdate());
+  }
+
+  /**
+   * Resolves once no update is pending
+   * @returns {Promise<boolean>}
+   */
+  get updateComplete() {
+    return this._updatePromise.then(() => (this.isUpdatePending ? this.updateComplete : true));
+  }
+
+  /**
+   * Runs an update: shouldUpdate, willUpdate, update, firstUpdated and updated
+   */
+  performUpdate() {
+    this.isUpdatePending = false;
+    if (!this.isConnected) return;
+
+    const changedProperties = this._changedProperties;
+    this._changedProperties = new Map();
+
+    const shouldUpdate = this._features
+      .map(feature => (typeof feature.shouldUpdate === 'function' ? feature.shouldUpdate(changedProperties) : undefined))
+      .every(result => result !== false);
+    if (!shouldUpdate) return;
+
+    this._callFeatureHooks(['beforeWillUpdate', 'willUpdate', 'afterWillUpdate'], changedProperties);
+    this._controllers.forEach(controller => controller.hostUpdate && controller.hostUpdate());
+    this._callFeatureHooks(['beforeUpdate', 'update'], changedProperties);
+    this._reflectProperties(changedProperties);
+    this._callFeatureHooks(['afterUpdate'], changedProperties);
+
+    if (!this.hasUpdated) {
+      this.hasUpdated = true;
+      this._callFeatureHooks(['beforeFirstUpdated', 'firstUpdated', 'afterFirstUpdated'], changedProperties);
+    }
+
+    this._callFeatureHooks(['beforeUpdated', 'updated', 'afterUpdated'], changedProperties);
+    this._controllers.forEach(controller => controller.hostUpdated && controller.hostUpdated());
+  }
+
+  _reflectProperties(changedProperties) {
+    changedProperties.forEach((oldValue, name) => {
+      const options = this.constructor.elementProperties.get(name);
+      if (!options || !options.reflect || options.attribute === false) return;
+
+      const attribute = typeof options.attribute === 'string' ? options.attribute : name.toLowerCase();
+      const value = this[name];
+
+      if (options.type === Boolean) {
+        this.toggleAttribute(attribute, Boolean(value));
+      } else if (value === undefined || value === null) {
+        this.removeAttribute(attribute);
+      } else {
+        this.setAttribute(attribute, typeof value === 'object' ? JSON.stringify(value) : String(value));
+      }
+    });
+  }
+
+  _callFeatureHooks(hooks, ...args) {
+    this._features.forEach(feature => {
+      hooks.forEach(hook => {
+        if (typeof feature[hook] === 'function') feature[hook](...args);
+      });
+    });
+  }
+
+  /**
+   * Has the host call a feature's hooks, in the order features are attached
+   * @param {AuroFeature} feature - The feature
+   */
+  attachFeature(feature) {
+    this._features.push(feature);
+  }
+
+  /**
+   * Connects the host: runs the connected hooks of attached features and controllers, then updates
+   */
+  connect() {
+    if (this.isConnected) return;
+    this.isConnected = true;
+
+    this._features.forEach(feature => feature._resumeResources && feature._resumeResources());
+    this._callFeatureHooks(['beforeConnectedCallback', 'connectedCallback', 'afterConnectedCallback']);
+    this._controllers.forEach(controller => controller.hostConnected && controller.hostConnected());
+
+    this.requestUpdate();
+  }
+
+  /**
+   * Disconnects the host: runs the disconnected hooks of attached features and controllers
+   */
+  disconnect() {
+    if (!this.isConnected) return;
+
+    this._callFeatureHooks(['beforeDisconnectedCallback', 'disconnectedCallback', 'afterDisconnectedCallback']);
+    this._features.forEach(feature => feature._suspendResources && feature._suspendResources());
+    this._controllers.forEach(controller => controller.hostDisconnected && controller.hostDisconnected());
+
+    this.isConnected = false;
+  }
+
+  addController(controller) {
+    this._controllers.add(controller);
+    if (this.isConnected && controller.hostConnected) controller.hostConnected();
+  }
+
+  removeController(controller) {
+    this._controllers.delete(controller);
+  }
+
+  getAttribute(name) {
+    return this._attributes.has(name.toLowerCase()) ? this._attributes.get(name.toLowerCase()) : null;
+  }
+
+  setAttribute(name, value) {
+    this._attributes.set(name.toLowerCase(), String(value));
+  }
+
+  removeAttribute(name) {
+    this._attributes.delete(name.toLowerCase());
+  }
+
+  hasAttribute(name) {
+    return this._attributes.has(name.toLowerCase());
+  }
+
+  toggleAttribute(name, force = !this.hasAttribute(name)) {
+    if (force) {
+      this.setAttribute(name, '');
+    } else {
+      this.removeAttribute(name);
+    }
+    return force;
+  }
+
+  get tabIndex() {
+    return this.hasAttribute('tabindex') ? Number(this.getAttribute('tabindex')) : -1;
+  }
+
+  set tabIndex(value) {
+    this.setAttribute('tabindex', value);
+  }
+
+  // FakeHost has no children, so per-instance config blocks never match
+  querySelector() {
+    return null;
+  }
+}
+
+/**
+ * Creates a feature on a fake host and drives its lifecycle
+ * The config is merged over the defaults of the feature's `configSchema` and checked against it,
+ * as `FeatureManager.configValidation` says. The feature's properties become reactive properties
+ * of the host and its `static get methods` are exposed on the host.
+ * @param {Function} FeatureClass - The feature class
+ * @param {Object} [config] - Config for the feature
+ * @param {Object} [options]
+ * @param {FakeHost} [options.host] - Host to mount on, e.g. to mount several features together
+ * @param {boolean} [options.connect] - Whether to connect the host and wait for its first update
+ * @returns {Promise<{ feature: AuroFeature, host: FakeHost, update: Function, unmount: Function }>}
+ *   `update()` waits for pending updates; `unmount()` disconnects the host and disposes the feature's resources
+ */
+export async function mountFeature(FeatureClass, config = {}, { host = new FakeHost(), connect = true } = {}) {
+  const finalConfig = FeatureManager.mergeConfig(FeatureManager.getConfigDefaults(FeatureClass), config);
+  FeatureManager.checkConfig(FeatureClass, finalConfig, `'${FeatureClass.name}' in mountFeature`);
+
+  host.createProperties(FeatureClass.properties || {});
+
+  const feature = new FeatureClass(host, finalConfig);
+  host.attachFeature(feature);
+
+  Object.entries(FeatureManager.getFeatureMethods(FeatureClass)).forEach(([hostName, methodName]) => {
+    host[hostName] = (...args) => feature[methodName](...args);
+  });
+
+  if (connect) {
+    host.connect();
+    await host.updateComplete;
+  }
+
+  return {
+    feature,
+    host,
+    update: () => host.updateComplete,
+    unmount: () => {
+      host.disconnect();
+      feature._disposeResources();
+    }
+  };
+}
+
+/**
+ * Defines and registers an AuroCore component for integration tests
+ * @param {Object} [definition]
+ * @param {Object} [definition.provides] - The component's `static get provides`
+ * @param {Object} [definition.features] - The component's `static get features`
+ * @param {Object} [definition.consumes] - The component's `static get consumes`
+ * @param {Function} [definition.base] - Class to extend, AuroCore by default
+ * @param {Function} [definition.render] - Render method of the component
+ * @returns {Function} The registered component class; its tag name is `tagName`
+ */
+export function defineTestComponent({ provides, features, consumes, base = AuroCore, render } = {}) {
+  testComponentCount += 1;
+  const tagName = `test-component-${testComponentCount}`;
+
+  class TestComponent extends base {}
+
+  const statics = { provides, features, consumes };
+  Object.entries(statics).forEach(([key, value]) => {
+    if (value !== undefined) Object.defineProperty(TestComponent, key, { get: () => value });
+  });
+  if (render) TestComponent.prototype.render = render;
+
+  TestComponent.tagName = tagName;
+  TestComponent.register(tagName);
+  return TestComponent;
+}
+
+/**
+ * Creates an element of a test component, connects it and waits for its first update
+ * Lazy features enabled on the element are loaded first; load errors are reported as usual.
+ * @param {Function} Component - A class from `defineTestComponent`
+ * @param {Object} [options]
+ * @param {Object} [options.featureConfig] - Per-instance feature config
+ * @param {HTMLElement} [options.parent] - Where to connect the element, the document body by default
+ * @returns {Promise<HTMLElement>} The element
+ */
+export async function fixture(Component, { featureConfig, parent = document.body } = {}) {
+  const element = document.createElement(Component.tagName);
+  if (featureConfig) element.featureConfig = featureConfig;
+
+  parent.append(element);
+
+  const { featureManager } = element;
+  await Promise.all(Object.keys(FeatureManager.getFeaturePlan(Component).features)
+    .filter(featureName => featureManager.isLoading(featureName))
+    .map(featureName => featureManager.whenReady(featureName).catch(() => undefined)));
+
+  await element.updateComplete;
+  return element;
+}
@@ -0,0 +1,851 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { css, html } from 'lit';
+import { AuroCore } from '../src/root/auro-core.js';
+import { AuroElement } from '../src/root/auro-element.js';
+import { AuroFeature } from '../src/root/auro-feature.js';
+import { FeatureManager } from '../src/root/services/feature-manager.js';
+import { FocusFeature } from '../src/features/focus-feature.js';
+import { defineTestComponent, fixture } from '../src/testing/test-utils.js';
+
+class AlphaFeature extends AuroFeature {
+  static get properties() {
+    return {
+      alpha: { type: String },
+      shared: { type: Number }
+    };
+  }
+}
+
+class BetaFeature extends AuroFeature {
+  static get properties() {
+    return {
+      shared: { type: Number }
+    };
+  }
+}
+
+afterEach(() => {
+  document.body.replaceChildren();
+});
+
+// Records the hooks features run, in order
+function createHookLog() {
+  const calls = [];
+
+  class LoggingFeature extends AuroFeature {
+    connectedCallback() {
+      calls.push(`${this.config.label}:connected`);
+    }
+
+    disconnectedCallback() {
+      calls.push(`${this.config.label}:disconnected`);
+    }
+
+    configChanged(oldConfig, newConfig) {
+      super.configChanged(oldConfig, newConfig);
+      calls.push(`${this.config.label}:configChanged`);
+    }
+  }
+
+  return { calls, LoggingFeature };
+}
+
+// A Lit controller that adds itself to its host, like most controllers do
+class SelfAddingController {
+  constructor(host) {
+    this.hostConnected = vi.fn();
+    host.addController(this);
+  }
+}
+
+describe('FeatureManager.getInheritedConfigs', () => {
+  class Base extends AuroCore {
+    static get features() {
+      return {
+        Alpha: { config: { nested: { a: 1, b: 1 }, list: 'base' } }
+      };
+    }
+  }
+
+  class Middle extends Base {
+    static get features() {
+      return {
+        Alpha: { config: { nested: { b: 2 } }, properties: { shared: 'disable' } },
+        Beta: 'disable'
+      };
+    }
+  }
+
+  class Child extends Middle {
+    static get features() {
+      return {
+        Alpha: { config: { list: 'child' } },
+        Beta: 'enable'
+      };
+    }
+  }
+
+  it('deep merges configs from the base class down', () => {
+    const configs = FeatureManager.getInheritedConfigs(Child);
+
+    expect(configs.Alpha.config).toEqual({ nested: { a: 1, b: 2 }, list: 'child' });
+  });
+
+  it('records the classes that configured a feature, base class first', () => {
+    expect(FeatureManager.getInheritedConfigs(Child).Alpha.configuredBy).toEqual([Base, Middle, Child]);
+  });
+
+  it('leaves enabled undefined when no class sets it', () => {
+    const configs = FeatureManager.getInheritedConfigs(Child);
+
+    expect(configs.Alpha.enabled).toBeUndefined();
+    expect(configs.Alpha.enabledBy).toBeUndefined();
+  });
+
+  it('maps the disable shorthand to enabled: false', () => {
+    const configs = FeatureManager.getInheritedConfigs(Middle);
+
+    expect(configs.Beta.enabled).toBe(false);
+    expect(configs.Beta.enabledBy).toBe(Middle);
+  });
+
+  it('lets the closest class decide whether a feature is enabled', () => {
+    const configs = FeatureManager.getInheritedConfigs(Child);
+
+    expect(configs.Beta.enabled).toBe(true);
+    expect(configs.Beta.enabledBy).toBe(Child);
+  });
+
+  it('keeps property disable markers so a subclass can re-enable the property', () => {
+    class Reenabled extends Middle {
+      static get features() {
+        return {
+          Alpha: { properties: { shared: { type: Number, reflect: true } } }
+        };
+      }
+    }
+
+    expect(FeatureManager.getInheritedConfigs(Middle).Alpha.properties).toEqual({ shared: 'disable' });
+    expect(FeatureManager.getInheritedConfigs(Reenabled).Alpha.properties).toEqual({ shared: { type: Number, reflect: true } });
+    expect(FeatureManager.getInheritedConfigs(Reenabled).Alpha.propertiesOverriddenBy.shared).toBe(Reenabled);
+  });
+
+  it('applies an inherited static features getter only once', () => {
+    class NoOwnFeatures extends Child {}
+
+    expect(FeatureManager.getInheritedConfigs(NoOwnFeatures)).toEqual(FeatureManager.getInheritedConfigs(Child));
+  });
+});
+
+describe('FeatureManager.resolveFeatures', () => {
+  it('drops disabled properties and records the class that disabled them', () => {
+    class Component extends AuroCore {
+      static get provides() {
+        return { Alpha: AlphaFeature };
+      }
+
+      static get features() {
+        return { Alpha: { properties: { shared: 'disable' } } };
+      }
+    }
+
+    const { Alpha } = FeatureManager.resolveFeatures(Component);
+
+    expect(Object.keys(Alpha.properties)).toEqual(['alpha']);
+    expect(Alpha.disabledProperties).toEqual({ shared: Component });
+  });
+
+  it('keeps features provided with enabled: false off until a class enables them', () => {
+    class Provider extends AuroCore {
+      static get provides() {
+        return { Alpha: { class: AlphaFeature, enabled: false } };
+      }
+    }
+
+    class OptIn extends Provider {
+      static get features() {
+        return { Alpha: { enabled: true } };
+      }
+    }
+
+    expect(FeatureManager.resolveFeatures(Provider).Alpha.enabled).toBe(false);
+    expect(FeatureManager.resolveFeatures(OptIn).Alpha.enabled).toBe(true);
+    expect(FeatureManager.explain(OptIn, 'Alpha').decidedBy).toBe(OptIn);
+  });
+
+  it('throws at registration when two enabled features declare the same property', () => {
+    const Component = class extends AuroCore {
+      static get provides() {
+        return { Alpha: AlphaFeature, Beta: BetaFeature };
+      }
+    };
+
+    expect(() => FeatureManager.prepareFeatures(Component)).toThrow(/Property 'shared' is declared by both/);
+  });
+
+  it('replaces config arrays instead of merging them index by index', async () => {
+    class ListFeature extends AuroFeature {
+      static get configSchema() {
+        return { list: { type: Array, default: ['x', 'y'] } };
+      }
+    }
+
+    class Component extends AuroCore {
+      static get provides() {
+        return { List: ListFeature };
+      }
+
+      static get features() {
+        return { List: { config: { list: ['z'] } } };
+      }
+    }
+
+    expect(FeatureManager.resolveFeatures(Component).List.config.list).toEqual(['z']);
+
+    const element = await fixture(defineTestComponent({ provides: { List: ListFeature } }));
+    element.featureManager.configure('List', { list: [] });
+
+    expect(element.List.config.list).toEqual([]);
+  });
+});
+
+describe('FeatureManager on a test component', () => {
+  it('creates enabled features and skips disabled ones', async () => {
+    const Component = defineTestComponent({
+      provides: { Alpha: AlphaFeature, Beta: { class: BetaFeature, enabled: false } },
+      features: { Alpha: { properties: { shared: 'disable' } } }
+    });
+    const element = await fixture(Component);
+
+    expect(element.featureManager.isEnabled('Alpha')).toBe(true);
+    expect(element.featureManager.isEnabled('Beta')).toBe(false);
+    expect(element.Alpha).toBeInstanceOf(AlphaFeature);
+  });
+
+  it('drops the properties of a feature a subclass of a registered component disables', async () => {
+    const Parent = defineTestComponent({ provides: { Alpha: AlphaFeature } });
+    const Child = defineTestComponent({ base: Parent, features: { Alpha: 'disable' } });
+    const element = await fixture(Child);
+
+    expect(Parent.elementProperties.has('alpha')).toBe(true);
+    expect(Child.elementProperties.has('alpha')).toBe(false);
+    expect(Child.observedAttributes).not.toContain('alpha');
+
+    // No longer reactive, so setting it doesn't update the element
+    element.alpha = 'plain';
+    expect(element.isUpdatePending).toBe(false);
+  });
+
+  it('applies per-instance config on the first connection', async () => {
+    const Component = defineTestComponent({
+      provides: { Alpha: { class: AlphaFeature, config: { level: 1 } } }
+    });
+    const element = await fixture(Component, { featureConfig: { Alpha: { level: 2 } } });
+
+    expect(element.Alpha.config.level).toBe(2);
+  });
+
+  it('disposes the listeners of a feature recreated by configure() before the first connection', async () => {
+    const classFocus = vi.fn();
+    const instanceFocus = vi.fn();
+    const Component = defineTestComponent({
+      provides: { Focus: FocusFeature },
+      features: { Focus: { config: { onFocus: classFocus } } }
+    });
+    const element = await fixture(Component, { featureConfig: { Focus: { onFocus: instanceFocus } } });
+
+    element.dispatchEvent(new Event('focus'));
+
+    expect(instanceFocus).toHaveBeenCalledTimes(1);
+    expect(classFocus).not.toHaveBeenCalled();
+  });
+
+  it('tears down a feature recreated by configure() before the first connection like disable()', () => {
+    const dispose = vi.fn();
+    class DisposingFeature extends AuroFeature {
+      constructor(host, config) {
+        super(host, config);
+        this.addDisposable(dispose);
+      }
+    }
+
+    const Component = defineTestComponent({ provides: { Disposing: DisposingFeature } });
+    const element = document.createElement(Component.tagName);
+    const first = element.Disposing;
+
+    element.featureManager.configure('Disposing', { level: 1 });
+
+    expect(dispose).toHaveBeenCalledTimes(1);
+    expect(element.Disposing).not.toBe(first);
+    expect(element.Disposing.config.level).toBe(1);
+  });
+
+  it('calls hostConnected once on a self-adding controller enabled on a connected host', async () => {
+    const Component = defineTestComponent({ provides: { Tracker: { class: SelfAddingController, enabled: false } } });
+    const element = await fixture(Component);
+    const controller = element.featureManager.enable('Tracker');
+
+    expect(controller.hostConnected).toHaveBeenCalledTimes(1);
+    expect(Object.hasOwn(element, 'addController')).toBe(false);
+  });
+
+  it('calls hostConnected once on a lazy self-adding controller', async () => {
+    const Component = defineTestComponent({ provides: { Tracker: { load: () => Promise.resolve(SelfAddingController) } } });
+    const element = await fixture(Component);
+    const controller = await element.featureManager.whenReady('Tracker');
+
+    expect(controller.hostConnected).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets features set reactive properties of the host, and only those', async () => {
+    const Component = defineTestComponent({ provides: { Alpha: AlphaFeature } });
+    const element = await fixture(Component);
+
+    expect(element.Alpha.setHostProperty('alpha', 'set by a feature')).toBe(true);
+    expect(element.alpha).toBe('set by a feature');
+    expect(() => element.Alpha.setHostProperty('unknown', 1)).toThrow(/'Alpha' sets 'unknown'/);
+  });
+
+  it('counts only changes from outside the features as explicit', async () => {
+    class DefaultingFeature extends AuroFeature {
+      static get properties() {
+        return { alpha: { type: String } };
+      }
+
+      constructor(host, config) {
+        super(host, config);
+        this.alpha = 'default';
+      }
+    }
+
+    class DrivingFeature extends AuroFeature {
+      beforeWillUpdate() {
+        if (this.host.constructor.elementProperties.has('alpha')) this.setHostProperty('alpha', 'driven');
+      }
+    }
+
+    const Component = defineTestComponent({
+      provides: { Driving: DrivingFeature, Defaulting: { class: DefaultingFeature, enabled: false } }
+    });
+    const element = await fixture(Component);
+
+    // Written by the feature's constructor, so it doesn't block the driving feature
+    element.featureManager.enable('Defaulting');
+    await element.updateComplete;
+    expect(element.alpha).toBe('driven');
+    expect(element.featureManager.isPropertyExplicit('alpha')).toBe(false);
+
+    element.alpha = 'outside';
+    await element.updateComplete;
+    expect(element.alpha).toBe('outside');
+    expect(element.featureManager.isPropertyExplicit('alpha')).toBe(true);
+  });
+
+  it('isolates errors thrown by feature hooks', async () => {
+    class ThrowingFeature extends AuroFeature {
+      updated() {
+        throw new Error('boom');
+      }
+    }
+
+    const Component = defineTestComponent({ provides: { Throwing: ThrowingFeature } });
+    const handler = vi.fn();
+    const original = FeatureManager.errorOptions;
+    FeatureManager.errorOptions = { ...original, handler };
+
+    try {
+      const element = await fixture(Component);
+      expect(element.hasUpdated).toBe(true);
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ feature: 'Throwing', hook: 'updated' }));
+    } finally {
+      FeatureManager.errorOptions = original;
+    }
+  });
+});
+
+describe('FeatureManager runtime control', () => {
+  it('runs connected hooks on enable() and disconnected hooks on disable()', async () => {
+    const { calls, LoggingFeature } = createHookLog();
+    const Component = defineTestComponent({ provides: { Logging: { class: LoggingFeature, enabled: false, config: { label: 'a' } } } });
+    const element = await fixture(Component);
+
+    const feature = element.featureManager.enable('Logging');
+    expect(element.Logging).toBe(feature);
+    expect(element.featureManager.explain('Logging')).toMatchObject({ enabled: true });
+
+    element.featureManager.disable('Logging', 'Turned off in a test');
+    expect(element.Logging).toBeUndefined();
+    expect(element.featureManager.explain('Logging')).toMatchObject({ enabled: false, reason: 'Turned off in a test' });
+    expect(calls).toEqual(['a:connected', 'a:disconnected']);
+  });
+
+  it('calls configChanged on a connected feature and keeps patches for a disabled one', async () => {
+    const { calls, LoggingFeature } = createHookLog();
+    const Component = defineTestComponent({ provides: { Logging: { class: LoggingFeature, config: { label: 'a' } } } });
+    const element = await fixture(Component);
+
+    element.featureManager.configure('Logging', { label: 'b' });
+    expect(calls).toEqual(['a:connected', 'b:configChanged']);
+
+    element.featureManager.disable('Logging');
+    element.featureManager.configure('Logging', { label: 'c' });
+    expect(element.featureManager.enable('Logging').config.label).toBe('c');
+  });
+
+  it('throws for features that are not provided', async () => {
+    const element = await fixture(defineTestComponent({ provides: { Alpha: AlphaFeature } }));
+
+    expect(() => element.featureManager.enable('Missing')).toThrow(/Missing/);
+  });
+});
+
+describe('FeatureManager change notifications', () => {
+  it('tells subscribers about changes once per batch', async () => {
+    class GammaFeature extends AuroFeature {}
+
+    const Component = defineTestComponent({ provides: { Alpha: AlphaFeature, Gamma: { class: GammaFeature, enabled: false } } });
+    const element = await fixture(Component);
+    const listener = vi.fn();
+    const unsubscribe = element.featureManager.subscribe(listener);
+
+    element.featureManager.enable('Gamma');
+    element.featureManager.configure('Gamma', { level: 1 });
+    await element.updateComplete;
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(element.featureManager);
+
+    element.alpha = 'changed';
+    await element.updateComplete;
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    unsubscribe();
+    element.featureManager.disable('Gamma');
+    await element.updateComplete;
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('tells subscribers about changes on a disconnected host', async () => {
+    const Component = defineTestComponent({ provides: { Alpha: AlphaFeature } });
+    const element = document.createElement(Component.tagName);
+    const listener = vi.fn();
+    element.featureManager.subscribe(listener);
+
+    element.featureManager.disable('Alpha');
+    await Promise.resolve();
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('FeatureManager dependencies and ordering', () => {
+  it('enables required features first and injects them on deps', async () => {
+    class NeedsAlpha extends AuroFeature {
+      static get requires() {
+        return [AlphaFeature];
+      }
+    }
+
+    const Component = defineTestComponent({
+      provides: { Alpha: { class: AlphaFeature, enabled: false }, Needs: NeedsAlpha }
+    });
+    const element = await fixture(Component);
+
+    expect(element.featureManager.isEnabled('Alpha')).toBe(true);
+    expect(element.Needs.deps.Alpha).toBe(element.Alpha);
+    expect(() => element.featureManager.disable('Alpha')).toThrow(/'Needs' requires it/);
+  });
+
+  it('skips an instance config entry that cannot be applied and still connects', async () => {
+    class NeedsAlpha extends AuroFeature {
+      static get requires() {
+        return [AlphaFeature];
+      }
+    }
+
+    const Component = defineTestComponent({ provides: { Alpha: AlphaFeature, Needs: NeedsAlpha } });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      const element = await fixture(Component, { featureConfig: { Alpha: 'disable' } });
+
+      expect(element.hasUpdated).toBe(true);
+      expect(element.featureManager.isEnabled('Alpha')).toBe(true);
+      expect(warn).toHaveBeenCalledWith(expect.stringMatching(/'Alpha' .* is ignored/), expect.any(Error));
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('runs hooks in after/before order, keeping the provided order otherwise', async () => {
+    const { calls, LoggingFeature } = createHookLog();
+    class Last extends LoggingFeature {
+      static get after() {
+        return ['Middle'];
+      }
+    }
+    class First extends LoggingFeature {
+      static get before() {
+        return ['Middle'];
+      }
+    }
+
+    const Component = defineTestComponent({
+      provides: {
+        Last: { class: Last, config: { label: 'last' } },
+        Middle: { class: LoggingFeature, config: { label: 'middle' } },
+        First: { class: First, config: { label: 'first' } }
+      }
+    });
+    await fixture(Component);
+
+    expect(calls).toEqual(['first:connected', 'middle:connected', 'last:connected']);
+  });
+
+  it('throws at registration for cycles and missing required features', () => {
+    class Cyclic extends AuroFeature {
+      static get after() {
+        return ['Other'];
+      }
+    }
+    class Other extends AuroFeature {
+      static get after() {
+        return ['Cyclic'];
+      }
+    }
+    class NeedsMissing extends AuroFeature {
+      static get requires() {
+        return ['Missing'];
+      }
+    }
+
+    expect(() => defineTestComponent({ provides: { Cyclic, Other } })).toThrow(/Circular feature dependency/);
+    expect(() => defineTestComponent({ provides: { NeedsMissing } })).toThrow(/Missing/);
+  });
+});
+
+describe('FeatureManager errors', () => {
+  it('leaves out a feature whose constructor throws and reports it', async () => {
+    class BrokenFeature extends AuroFeature {
+      constructor(host, config) {
+        super(host, config);
+        throw new Error('broken');
+      }
+    }
+
+    const Component = defineTestComponent({ provides: { Broken: BrokenFeature, Alpha: AlphaFeature } });
+    const handler = vi.fn();
+    const original = FeatureManager.errorOptions;
+    FeatureManager.errorOptions = { ...original, handler };
+
+    try {
+      const element = await fixture(Component);
+      expect(element.Broken).toBeUndefined();
+      expect(element.Alpha).toBeInstanceOf(AlphaFeature);
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ feature: 'Broken', hook: 'constructor' }));
+    } finally {
+      FeatureManager.errorOptions = original;
+    }
+  });
+
+  it('dispatches feature-error and disables a feature after repeated errors', async () => {
+    class FlakyFeature extends AuroFeature {
+      updated() {
+        throw new Error('flaky');
+      }
+    }
+
+    const Component = defineTestComponent({ provides: { Flaky: FlakyFeature } });
+    Object.defineProperty(Component, 'featureErrorOptions', { get: () => ({ handler: () => {}, disableAfter: 2 }) });
+    const element = document.createElement(Component.tagName);
+    const errors = [];
+    element.addEventListener('feature-error', event => errors.push(event.detail.failures));
+    document.body.append(element);
+    await element.updateComplete;
+
+    element.requestUpdate();
+    await element.updateComplete;
+    element.requestUpdate();
+    await element.updateComplete;
+
+    expect(errors).toEqual([1, 2]);
+    expect(element.featureManager.isEnabled('Flaky')).toBe(false);
+    expect(element.featureManager.explain('Flaky').reason).toMatch(/after 2 errors/);
+  });
+});
+
+describe('FeatureManager managed resources', () => {
+  it('removes listeners while the host is disconnected and adds them again on reconnect', async () => {
+    const handler = vi.fn();
+    class ListeningFeature extends AuroFeature {
+      constructor(host, config) {
+        super(host, config);
+        this.listen(host, 'ping', handler);
+      }
+    }
+
+    const element = await fixture(defineTestComponent({ provides: { Listening: ListeningFeature } }));
+
+    element.remove();
+    element.dispatchEvent(new Event('ping'));
+    expect(handler).not.toHaveBeenCalled();
+
+    document.body.append(element);
+    element.dispatchEvent(new Event('ping'));
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    element.featureManager.disable('Listening');
+    element.dispatchEvent(new Event('ping'));
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('FeatureManager styles', () => {
+  const compact = css`:host { --variant: compact; }`;
+  const roomy = css`:host { --variant: roomy; }`;
+
+  class VariantFeature extends AuroFeature {
+    static get styles() {
+      return { default: roomy, compact };
+    }
+  }
+
+  it('picks style variants with the styleVariant config key', () => {
+    expect(FeatureManager.getFeatureStyles(VariantFeature)).toEqual([roomy]);
+    expect(FeatureManager.getFeatureStyles(VariantFeature, { styleVariant: 'compact' })).toEqual([compact]);
+    expect(FeatureManager.getFeatureStyles(VariantFeature, { styleVariant: ['default', 'compact'] })).toEqual([roomy, compact]);
+  });
+
+  it('merges the styles of enabled features into the component styles', () => {
+    const Component = defineTestComponent({
+      provides: { Variant: VariantFeature },
+      features: { Variant: { config: { styleVariant: 'compact' } } }
+    });
+
+    expect(Component.elementStyles).toContain(compact);
+    expect(Component.elementStyles).not.toContain(roomy);
+  });
+});
+
+describe('FeatureManager render contributions', () => {
+  it('renders the contributions of enabled features into regions, in feature order', async () => {
+    class Badge extends AuroFeature {
+      renderContribution(region) {
+        if (region === 'after-content') return html`<b>${this.config.text}</b>`;
+      }
+    }
+
+    const Component = defineTestComponent({
+      base: AuroElement,
+      provides: { First: { class: Badge, config: { text: 'one' } }, Second: { class: Badge, config: { text: 'two' } } },
+      render() {
+        return html`<div>${this.featureRegion('after-content')}</div>${this.featureRegion('other')}`;
+      }
+    });
+    const element = await fixture(Component);
+    const text = () => [...element.shadowRoot.querySelectorAll('b')].map(badge => badge.textContent);
+
+    expect(text()).toEqual(['one', 'two']);
+
+    element.featureManager.disable('First');
+    await element.updateComplete;
+    expect(text()).toEqual(['two']);
+  });
+});
+
+describe('FeatureManager methods', () => {
+  class CounterLike extends AuroFeature {
+    static get methods() {
+      return { bump: 'increment' };
+    }
+
+    count = 0;
+
+    increment() {
+      this.count += 1;
+      return this.count;
+    }
+  }
+
+  it('exposes feature methods on the host and throws from stale references once disabled', async () => {
+    const element = await fixture(defineTestComponent({ provides: { Counter: CounterLike } }));
+    const { bump } = element;
+
+    expect(element.bump()).toBe(1);
+
+    element.featureManager.disable('Counter');
+    expect(element.bump).toBeUndefined();
+    expect(() => bump.call(element)).toThrow(/'Counter' feature, which is not enabled/);
+
+    element.featureManager.enable('Counter');
+    expect(element.bump()).toBe(1);
+  });
+
+  it('throws at registration when a feature method clashes with the component', () => {
+    class Clashing extends AuroCore {
+      bump() {}
+    }
+
+    expect(() => defineTestComponent({ base: Clashing, provides: { Counter: CounterLike } })).toThrow(/bump/);
+  });
+
+  it('leaves a feature disabled when enable() finds a method conflict', async () => {
+    const connected = vi.fn();
+    class ConnectingCounter extends CounterLike {
+      connectedCallback() {
+        connected();
+      }
+    }
+
+    class Clashing extends AuroCore {
+      bump() {}
+    }
+
+    const Component = defineTestComponent({ base: Clashing, provides: { Counter: { class: ConnectingCounter, enabled: false } } });
+    const element = await fixture(Component);
+
+    expect(() => element.featureManager.enable('Counter')).toThrow(/Method 'bump'/);
+    expect(element.featureManager.isEnabled('Counter')).toBe(false);
+    expect(element.Counter).toBeUndefined();
+    expect(connected).not.toHaveBeenCalled();
+  });
+});
+
+describe('FeatureManager lazy features', () => {
+  class LazyFeature extends AuroFeature {
+    static get properties() {
+      return {
+        lazyValue: { type: String }
+      };
+    }
+
+    static get methods() {
+      return ['ping'];
+    }
+
+    ping() {
+      return 'pong';
+    }
+  }
+
+  it('declares manifest properties at registration and creates the feature once it loads', async () => {
+    let resolveLoad;
+    const Component = defineTestComponent({
+      provides: {
+        Lazy: {
+          load: () => new Promise(resolve => {
+            resolveLoad = resolve;
+          }),
+          manifest: { properties: { lazyValue: { type: String } }, methods: ['ping'] }
+        }
+      }
+    });
+
+    expect(Component.elementProperties.has('lazyValue')).toBe(true);
+
+    const element = document.createElement(Component.tagName);
+    document.body.append(element);
+    expect(element.featureManager.isLoading('Lazy')).toBe(true);
+    expect(() => element.ping()).toThrow(/still loading/);
+
+    await new Promise(resolve => setTimeout(resolve));
+    resolveLoad({ default: LazyFeature });
+    const feature = await element.featureManager.whenReady('Lazy');
+
+    expect(element.Lazy).toBe(feature);
+    expect(element.ping()).toBe('pong');
+  });
+
+  it('waits in fixture() for lazy features to load', async () => {
+    const Component = defineTestComponent({ provides: { Lazy: { load: () => Promise.resolve(LazyFeature), manifest: { methods: ['ping'] } } } });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      const element = await fixture(Component);
+      expect(element.ping()).toBe('pong');
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('applies schema defaults to elements created after the class loaded', async () => {
+    class DefaultsFeature extends AuroFeature {
+      static get configSchema() {
+        return { delay: { type: Number, default: 300 } };
+      }
+    }
+
+    const Component = defineTestComponent({ provides: { Lazy: { load: () => Promise.resolve(DefaultsFeature) } } });
+    const first = await fixture(Component);
+    const second = document.createElement(Component.tagName);
+
+    expect((await first.featureManager.whenReady('Lazy')).config.delay).toBe(300);
+    expect(second.Lazy.config.delay).toBe(300);
+  });
+
+  it('warns about properties missing from the manifest', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const Component = defineTestComponent({ provides: { Lazy: { load: () => Promise.resolve(LazyFeature), manifest: { methods: ['ping'] } } } });
+
+    try {
+      const element = await fixture(Component);
+      await element.featureManager.whenReady('Lazy');
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('missing from the manifest'));
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('reports load errors and rejects whenReady', async () => {
+    const handler = vi.fn();
+    const original = FeatureManager.errorOptions;
+    FeatureManager.errorOptions = { ...original, handler };
+    const Component = defineTestComponent({ provides: { Lazy: { load: () => Promise.reject(new Error('offline')) } } });
+
+    try {
+      const element = document.createElement(Component.tagName);
+      const ready = element.featureManager.whenReady('Lazy');
+      document.body.append(element);
+
+      await expect(ready).rejects.toThrow('offline');
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ feature: 'Lazy', hook: 'load' }));
+      expect(element.featureManager.isEnabled('Lazy')).toBe(false);
+    } finally {
+      FeatureManager.errorOptions = original;
+    }
+  });
+});
+
+describe('FeatureManager context', () => {
+  it('gives descendants a live reference to a published feature', async () => {
+    const Provider = defineTestComponent({
+      provides: { Alpha: { class: AlphaFeature, context: true } },
+      render: () => html`<slot></slot>`
+    });
+    const Consumer = defineTestComponent({ consumes: { alphaFeature: 'Alpha' } });
+
+    const provider = await fixture(Provider);
+    const consumer = await fixture(Consumer, { parent: provider });
+    expect(consumer.alphaFeature).toBe(provider.Alpha);
+
+    provider.featureManager.disable('Alpha');
+    await consumer.updateComplete;
+    expect(consumer.alphaFeature).toBeUndefined();
+
+    const alpha = provider.featureManager.enable('Alpha');
+    await consumer.updateComplete;
+    expect(consumer.alphaFeature).toBe(alpha);
+  });
+
+  it('does not count provided values as explicit', async () => {
+    const Provider = defineTestComponent({
+      provides: { Alpha: { class: AlphaFeature, context: true } },
+      render: () => html`<slot></slot>`
+    });
+    const Consumer = defineTestComponent({ consumes: { alphaFeature: 'Alpha' } });
+
+    const provider = await fixture(Provider);
+    const consumer = await fixture(Consumer, { parent: provider });
+
+    expect(consumer.alphaFeature).toBe(provider.Alpha);
+    expect(consumer.featureManager.isPropertyExplicit('alphaFeature')).toBe(false);
+  });
+});
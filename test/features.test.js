@@ -0,0 +1,703 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { LitElement, html } from 'lit';
+import { AuroElement } from '../src/root/auro-element.js';
+import { CounterFeature } from '../src/features/counter-feature.js';
+import { computePosition } from '../src/features/floating-feature.js';
+import { FocusFeature } from '../src/features/focus-feature.js';
+import { FocusTrapFeature } from '../src/features/focus-trap-feature.js';
+import { FormAssociatedFeature } from '../src/features/form-associated-feature.js';
+import { LayoutFeature } from '../src/features/layout-feature.js';
+import { LifecycleLoggerFeature } from '../src/features/lifecycle-logger-feature.js';
+import { ResponsiveFeature } from '../src/features/responsive-feature.js';
+import { RovingTabindexFeature } from '../src/features/roving-tabindex-feature.js';
+import { FeatureManager } from '../src/root/services/feature-manager.js';
+import { FakeHost, defineTestComponent, fixture, mountFeature } from '../src/testing/test-utils.js';
+
+afterEach(() => {
+  document.body.replaceChildren();
+});
+
+describe('CounterFeature', () => {
+  it('starts at the configured value, or 0', async () => {
+    expect((await mountFeature(CounterFeature)).host.count).toBe(0);
+    expect((await mountFeature(CounterFeature, { start: 4 })).host.count).toBe(4);
+  });
+
+  it('increments and decrements through the methods it exposes on the host', async () => {
+    const { host, update } = await mountFeature(CounterFeature, { start: 1 });
+    const events = [];
+    host.addEventListener('counter-incremented', event => events.push(['+', event.detail.count]));
+    host.addEventListener('counter-decremented', event => events.push(['-', event.detail.count]));
+
+    host.increment();
+    host.increment();
+    host.decrement();
+    await update();
+
+    expect(host.count).toBe(2);
+    expect(events).toEqual([['+', 2], ['+', 3], ['-', 2]]);
+    expect(host.getAttribute('count')).toBe('2');
+  });
+
+  it('contributes an announcement to the after-content region only', async () => {
+    const { feature } = await mountFeature(CounterFeature);
+
+    expect(feature.renderContribution('after-content')).toBeTruthy();
+    expect(feature.renderContribution('before-content')).toBeUndefined();
+  });
+
+  it('rejects a start value of the wrong type in strict mode', async () => {
+    FeatureManager.configValidation = 'strict';
+
+    try {
+      await expect(mountFeature(CounterFeature, { start: '5' })).rejects.toThrow(/'start' should be Number/);
+    } finally {
+      FeatureManager.configValidation = 'warn';
+    }
+  });
+});
+
+describe('FloatingFeature', () => {
+  const rect = (left, top, width, height) => ({ left, top, width, height, right: left + width, bottom: top + height });
+  const viewport = { top: 0, left: 0, right: 400, bottom: 300 };
+
+  it('places the floating element on the requested side and alignment', () => {
+    const anchor = rect(100, 100, 80, 20);
+    const floating = rect(0, 0, 60, 40);
+
+    expect(computePosition({ anchor, floating, boundary: viewport, placement: 'bottom-start', offset: 4 }))
+      .toMatchObject({ x: 100, y: 124, placement: 'bottom-start' });
+    expect(computePosition({ anchor, floating, boundary: viewport, placement: 'right', offset: 4 }))
+      .toMatchObject({ x: 184, y: 90, placement: 'right' });
+  });
+
+  it('flips to the opposite side when the requested side overflows', () => {
+    const anchor = rect(100, 260, 80, 20);
+    const floating = rect(0, 0, 60, 40);
+
+    expect(computePosition({ anchor, floating, boundary: viewport, placement: 'bottom' }))
+      .toMatchObject({ y: 220, placement: 'top' });
+    expect(computePosition({ anchor, floating, boundary: viewport, placement: 'bottom', flip: false }))
+      .toMatchObject({ y: 280, placement: 'bottom' });
+  });
+
+  it('shifts along the side to stay in the boundary and keeps the arrow on the anchor', () => {
+    const anchor = rect(370, 100, 20, 20);
+    const floating = rect(0, 0, 100, 40);
+    const position = computePosition({ anchor, floating, boundary: viewport, placement: 'bottom', arrow: { width: 10, height: 10 } });
+
+    expect(position.x).toBe(300);
+    expect(position.arrow).toEqual({ x: 75, y: null, side: 'top' });
+  });
+
+  it('hides the floating element while closed and dismisses on Escape when configured', async () => {
+    const Popover = defineTestComponent({
+      base: AuroElement,
+      features: { Floating: { enabled: true, config: { anchor: '#trigger', floating: '#panel', closeOnEscape: true } } },
+      render: () => html`<button id="trigger">Open</button><div id="panel">Panel</div>`
+    });
+    const element = await fixture(Popover);
+    const panel = element.shadowRoot.querySelector('#panel');
+    expect(panel.hidden).toBe(true);
+
+    element.open = true;
+    await element.updateComplete;
+    expect([panel.hidden, panel.style.position, panel.dataset.placement]).toEqual([false, 'fixed', 'bottom']);
+
+    const keep = event => event.preventDefault();
+    element.addEventListener('floating-dismiss', keep, { once: true });
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(element.open).toBe(true);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    await element.updateComplete;
+    expect([element.open, panel.hidden]).toEqual([false, true]);
+  });
+});
+
+describe('FocusFeature', () => {
+  it('tracks focus and calls the focus callbacks', async () => {
+    const onFocus = vi.fn();
+    const onBlur = vi.fn();
+    const { host, update } = await mountFeature(FocusFeature, { onFocus, onBlur });
+
+    host.dispatchEvent(new Event('focus'));
+    await update();
+    expect(host.hasFocus).toBe(true);
+    expect(onFocus).toHaveBeenCalledTimes(1);
+
+    host.dispatchEvent(new Event('blur'));
+    expect(host.hasFocus).toBe(false);
+    expect(onBlur).toHaveBeenCalledTimes(1);
+  });
+
+  it('makes the host focusable when configured, and undoes it when reconfigured', async () => {
+    const { host, feature } = await mountFeature(FocusFeature, { makeHostFocusable: true });
+    expect(host.getAttribute('tabindex')).toBe('0');
+
+    const oldConfig = feature.config;
+    feature.config = { ...oldConfig, makeHostFocusable: false };
+    feature.configChanged(oldConfig, feature.config);
+
+    expect(host.hasAttribute('tabindex')).toBe(false);
+  });
+
+  it('stops listening while the host is disconnected', async () => {
+    const onFocus = vi.fn();
+    const { host } = await mountFeature(FocusFeature, { onFocus });
+
+    host.disconnect();
+    host.dispatchEvent(new Event('focus'));
+    expect(onFocus).not.toHaveBeenCalled();
+
+    host.connect();
+    host.dispatchEvent(new Event('focus'));
+    expect(onFocus).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('FocusTrapFeature', () => {
+  const pressKey = (key, options = {}) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, composed: true, cancelable: true, ...options });
+    document.dispatchEvent(event);
+    return event;
+  };
+
+  const deepActiveElement = () => {
+    let active = document.activeElement;
+    while (active && active.shadowRoot && active.shadowRoot.activeElement) active = active.shadowRoot.activeElement;
+    return active;
+  };
+
+  const Dialog = defineTestComponent({
+    base: AuroElement,
+    features: { FocusTrap: { enabled: true } },
+    render: () => html`<button id="first">First</button><slot></slot><button id="last">Last</button>`
+  });
+
+  async function openDialog() {
+    const opener = document.createElement('button');
+    document.body.append(opener);
+    opener.focus();
+
+    const dialog = await fixture(Dialog);
+    dialog.innerHTML = '<input id="slotted"><button disabled>Disabled</button>';
+    return { opener, dialog };
+  }
+
+  it('wraps Tab across the shadow root and slotted content', async () => {
+    const { dialog } = await openDialog();
+    await dialog.trapFocus();
+
+    const first = dialog.shadowRoot.querySelector('#first');
+    const last = dialog.shadowRoot.querySelector('#last');
+    expect(dialog.FocusTrap.getTabbables()).toEqual([first, dialog.querySelector('#slotted'), last]);
+    expect(deepActiveElement()).toBe(first);
+
+    expect(pressKey('Tab', { shiftKey: true }).defaultPrevented).toBe(true);
+    expect(deepActiveElement()).toBe(last);
+
+    pressKey('Tab');
+    expect(deepActiveElement()).toBe(first);
+    dialog.releaseFocus();
+  });
+
+  it('releases on Escape and returns focus, unless the escape event is cancelled', async () => {
+    const { opener, dialog } = await openDialog();
+    const released = vi.fn();
+    dialog.addEventListener('focus-trap-released', released);
+    await dialog.trapFocus();
+
+    const cancel = event => event.preventDefault();
+    dialog.addEventListener('focus-trap-escape', cancel, { once: true });
+    pressKey('Escape');
+    expect(dialog.FocusTrap.isActive).toBe(true);
+
+    pressKey('Escape');
+    expect(dialog.FocusTrap.isActive).toBe(false);
+    expect(released).toHaveBeenCalledTimes(1);
+    expect(document.activeElement).toBe(opener);
+  });
+
+  it('only lets the most recently activated trap handle keys', async () => {
+    const { dialog: outer } = await openDialog();
+    const { dialog: inner } = await openDialog();
+    await outer.trapFocus();
+    await inner.trapFocus();
+
+    pressKey('Escape');
+    expect([outer.FocusTrap.isActive, inner.FocusTrap.isActive]).toEqual([true, false]);
+
+    outer.releaseFocus();
+  });
+
+  it('activates from config and releases when the host disconnects', async () => {
+    const { feature, unmount } = await mountFeature(FocusTrapFeature, { active: true, initialFocus: false });
+    expect(feature.isActive).toBe(true);
+
+    unmount();
+    expect(feature.isActive).toBe(false);
+  });
+
+  it('applies its config defaults when attached to a plain LitElement', async () => {
+    class PlainDialog extends LitElement {
+      static properties = { ...FocusTrapFeature.properties };
+
+      focusTrap = FocusTrapFeature.attach(this, { initialFocus: false });
+
+      render() {
+        return html`<button>Inside</button>`;
+      }
+    }
+    customElements.define('plain-focus-trap-dialog', PlainDialog);
+
+    const dialog = document.createElement('plain-focus-trap-dialog');
+    document.body.append(dialog);
+    await dialog.updateComplete;
+
+    expect(dialog.focusTrap.config).toMatchObject({ returnFocus: true, escapeDeactivates: true, active: false });
+
+    await dialog.focusTrap.activate();
+    pressKey('Escape');
+    expect(dialog.focusTrap.isActive).toBe(false);
+  });
+});
+
+describe('FormAssociatedFeature', () => {
+  // happy-dom has no ElementInternals, so the feature is mounted on a host with a recording stand-in
+  class FormHost extends FakeHost {
+    static formAssociated = true;
+
+    attachInternals() {
+      this.internals = {
+        formValue: undefined,
+        validity: {},
+        setFormValue(value) { this.formValue = value; },
+        setValidity(flags, message) { this.validity = { ...flags, valid: !Object.keys(flags).length, message }; },
+        checkValidity() { return this.validity.valid; },
+        reportValidity() { return this.validity.valid; }
+      };
+      return this.internals;
+    }
+  }
+
+  const mountField = config => mountFeature(FormAssociatedFeature, config, {
+    host: new FormHost({ properties: { value: { type: String } } })
+  });
+
+  it('submits the value property and restores its first value on reset', async () => {
+    const { host, feature, update } = await mountField();
+    expect(host.internals.formValue).toBe(null);
+
+    host.value = 'hello';
+    await update();
+    expect(host.internals.formValue).toBe('hello');
+
+    feature.formResetCallback();
+    await update();
+    expect(host.value).toBeUndefined();
+    expect(host.internals.formValue).toBe(null);
+
+    feature.formStateRestoreCallback('restored', 'restore');
+    await update();
+    expect(host.value).toBe('restored');
+  });
+
+  it('sets validity from required, validators and setCustomValidity', async () => {
+    const { host, update } = await mountField({
+      validators: {
+        tooShort: value => value.length < 3 && 'Use at least 3 characters.',
+        noSpaces: value => value.includes(' ')
+      }
+    });
+
+    host.required = true;
+    await update();
+    expect(host.internals.validity).toMatchObject({ valueMissing: true, valid: false });
+    expect(host.validationMessage).toBe('Please fill out this field.');
+
+    host.value = 'a ';
+    await update();
+    expect(host.internals.validity).toMatchObject({ tooShort: true, customError: true });
+    expect(host.validationMessage).toBe('Use at least 3 characters.');
+
+    host.value = 'abcd';
+    await update();
+    expect(host.checkValidity()).toBe(true);
+
+    host.setCustomValidity('Taken');
+    await update();
+    expect([host.checkValidity(), host.validationMessage]).toEqual([false, 'Taken']);
+  });
+
+  it('skips validation while disabled, like native controls', async () => {
+    const { host, feature, update } = await mountField({ validators: { customError: () => 'Never valid.' } });
+
+    host.required = true;
+    host.disabled = true;
+    await update();
+    expect(host.internals.validity).toMatchObject({ valid: true });
+    expect([host.checkValidity(), host.validationMessage]).toEqual([true, '']);
+
+    host.disabled = false;
+    await update();
+    expect(host.internals.validity).toMatchObject({ valueMissing: true, valid: false });
+
+    feature.formDisabledCallback(true);
+    expect(host.checkValidity()).toBe(true);
+  });
+
+  it('makes a component form-associated only when the feature is enabled at class level', async () => {
+    const Field = defineTestComponent({ base: AuroElement, features: { FormAssociated: { enabled: true } } });
+    const Plain = defineTestComponent({ base: AuroElement });
+
+    expect(Field.formAssociated).toBe(true);
+    expect(Plain.formAssociated).toBe(false);
+  });
+
+  it('receives the form callbacks forwarded by AuroCore', async () => {
+    const Field = defineTestComponent({ base: AuroElement, features: { FormAssociated: { enabled: true } } });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      const element = await fixture(Field);
+      element.formDisabledCallback(true);
+      expect(element.FormAssociated.formDisabled).toBe(true);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe('LayoutFeature', () => {
+  it('applies the schema defaults', async () => {
+    const { host } = await mountFeature(LayoutFeature);
+
+    expect([host.layout, host.shape, host.size, host.onDark]).toEqual(['classic', 'pill', 'md', false]);
+    expect(host.layoutClasses).toEqual({ 'layout-classic': true, 'shape-pill-md': true });
+  });
+
+  it('updates the layout classes in the same update as the change', async () => {
+    const { host, update } = await mountFeature(LayoutFeature, { shape: 'rounded', size: 'lg' });
+
+    host.shape = 'box';
+    host.layout = 'emphasized';
+    await update();
+
+    expect(host.layoutClasses).toEqual({ 'layout-emphasized': true, 'shape-box-lg': true });
+    expect(host.getAttribute('shape')).toBe('box');
+  });
+
+  it('renders registered layouts and falls back to the default layout', async () => {
+    class Base extends AuroElement {
+      static get layouts() {
+        return {
+          classic: function() { return html`<p>classic</p>`; },
+          default: 'renderFallback'
+        };
+      }
+
+      renderFallback() {
+        return html`<p>fallback</p>`;
+      }
+    }
+
+    class Child extends Base {
+      static get layouts() {
+        return { classic: () => html`<p>child classic</p>` };
+      }
+    }
+
+    const BaseComponent = defineTestComponent({ base: Base });
+    const ChildComponent = defineTestComponent({ base: Child });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      const base = await fixture(BaseComponent);
+      const child = await fixture(ChildComponent);
+      expect(base.shadowRoot.textContent).toContain('classic');
+      expect(child.shadowRoot.textContent).toContain('child classic');
+
+      base.layout = 'missing';
+      await base.updateComplete;
+      expect(base.shadowRoot.textContent).toContain('fallback');
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("Layout 'missing' is not registered"));
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('renders a slot when the component registers no layouts', async () => {
+    const element = await fixture(defineTestComponent({ base: AuroElement }));
+
+    expect(element.shadowRoot.querySelector('slot')).not.toBeNull();
+  });
+});
+
+describe('LifecycleLoggerFeature', () => {
+  it('records the configured hooks as structured records', async () => {
+    const onRecord = vi.fn();
+    const { host, update } = await mountFeature(LifecycleLoggerFeature, {
+      onRecord,
+      hooks: { willUpdate: true, updated: false, firstUpdated: false }
+    });
+
+    expect(onRecord.mock.calls.map(([record]) => record.hook)).toEqual(['connectedCallback', 'willUpdate']);
+
+    host.requestUpdate('anything', 1);
+    await update();
+
+    const record = onRecord.mock.calls.at(-1)[0];
+    expect(record).toMatchObject({ hook: 'willUpdate', host, changedProperties: ['anything'] });
+  });
+});
+
+describe('ResponsiveFeature', () => {
+  const Card = defineTestComponent({
+    base: AuroElement,
+    features: {
+      Responsive: {
+        enabled: true,
+        config: { breakpoints: { 0: { size: 'sm' }, 600: { size: 'lg', layout: 'emphasized' } } }
+      }
+    }
+  });
+
+  async function resize(element, width) {
+    element.Responsive.applyWidth(width);
+    await element.updateComplete;
+  }
+
+  it('cascades breakpoint values onto the Layout feature properties', async () => {
+    const element = await fixture(Card);
+    const changes = [];
+    element.addEventListener('breakpoint-change', event => changes.push(event.detail.breakpoint));
+
+    await resize(element, 320);
+    expect([element.breakpoint, element.size, element.layout]).toEqual([0, 'sm', 'classic']);
+
+    await resize(element, 800);
+    expect([element.breakpoint, element.size, element.layout]).toEqual([600, 'lg', 'emphasized']);
+    expect(element.layoutClasses).toEqual({ 'layout-emphasized': true, 'shape-pill-lg': true });
+
+    await resize(element, 320);
+    expect([element.size, element.layout]).toEqual(['sm', 'classic']);
+    expect(changes).toEqual([0, 600, 0]);
+  });
+
+  it('leaves properties set in markup or directly on the host alone', async () => {
+    const element = document.createElement(Card.tagName);
+    element.setAttribute('size', 'xl');
+    document.body.append(element);
+    await element.updateComplete;
+
+    await resize(element, 800);
+    expect([element.size, element.layout]).toEqual(['xl', 'emphasized']);
+    expect(element.featureManager.isPropertyExplicit('size')).toBe(true);
+
+    element.layout = 'classic';
+    await element.updateComplete;
+    await resize(element, 320);
+    await resize(element, 800);
+    expect(element.layout).toBe('classic');
+
+    element.removeAttribute('size');
+    await element.updateComplete;
+    expect(element.size).toBe('lg');
+  });
+
+  it('leaves a property set from JS before the first update alone', async () => {
+    const element = document.createElement(Card.tagName);
+    element.size = 'xl';
+    document.body.append(element);
+    await element.featureManager.whenReady('Responsive');
+    await element.updateComplete;
+
+    await resize(element, 320);
+    expect([element.size, element.breakpoint]).toEqual(['xl', 0]);
+    expect(element.featureManager.isPropertyExplicit('size')).toBe(true);
+  });
+
+  it('warns about breakpoints it ignores', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      const { feature } = await mountFeature(ResponsiveFeature, { breakpoints: { wide: { size: 'lg' }, 400: { size: 'md', shade: 'dark' } } }, {
+        host: new FakeHost({ properties: { size: { type: String } } })
+      });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("breakpoint 'wide'"));
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("sets shade, which isn't a reactive property"));
+      expect(feature.getBreakpoints()).toEqual([{ minWidth: 400, values: { size: 'md' } }]);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe('ThemeFeature', () => {
+  const Themed = defineTestComponent({
+    base: AuroElement,
+    features: { Theme: { enabled: true, config: { darkThemes: ['dark', 'midnight'], tokenPrefix: 'ds-' } } }
+  });
+
+  it('takes the theme from the closest ancestor, across shadow roots, and writes onDark', async () => {
+    const Outer = defineTestComponent({ base: AuroElement, render: () => html`<section><slot></slot></section>` });
+    const wrapper = document.createElement('div');
+    wrapper.setAttribute('data-theme', 'midnight');
+    document.body.append(wrapper);
+
+    const outer = await fixture(Outer, { parent: wrapper });
+    const inner = await fixture(Themed, { parent: outer.shadowRoot.querySelector('section') });
+
+    expect([inner.theme, inner.onDark, inner.Theme.themeSource]).toEqual(['midnight', true, 'ancestor']);
+    expect(inner.hasAttribute('ondark')).toBe(true);
+  });
+
+  it('follows changes to ancestor attributes', async () => {
+    const wrapper = document.createElement('div');
+    document.body.append(wrapper);
+    const element = await fixture(Themed, { parent: wrapper });
+    const changes = [];
+    element.addEventListener('theme-change', event => changes.push(event.detail.theme));
+
+    wrapper.setAttribute('ondark', '');
+    await new Promise(resolve => setTimeout(resolve));
+    await element.updateComplete;
+    expect([element.theme, element.onDark]).toEqual(['dark', true]);
+
+    wrapper.removeAttribute('ondark');
+    await new Promise(resolve => setTimeout(resolve));
+    await element.updateComplete;
+    expect(element.onDark).toBe(false);
+    expect(changes).toEqual(['dark', element.theme]);
+  });
+
+  it('ignores theme attributes outside its ancestors', async () => {
+    const wrapper = document.createElement('div');
+    const sibling = document.createElement('div');
+    document.body.append(wrapper, sibling);
+    const element = await fixture(Themed, { parent: wrapper });
+    const applyTheme = vi.spyOn(element.Theme, 'applyTheme');
+
+    sibling.setAttribute('data-theme', 'dark');
+    wrapper.setAttribute('title', 'not a theme attribute');
+    await new Promise(resolve => setTimeout(resolve));
+    expect(applyTheme).not.toHaveBeenCalled();
+
+    wrapper.setAttribute('data-theme', 'dark');
+    await new Promise(resolve => setTimeout(resolve));
+    expect(applyTheme).toHaveBeenCalled();
+    expect(element.theme).toBe('dark');
+  });
+
+  it('keeps an explicit theme until it is removed', async () => {
+    const wrapper = document.createElement('div');
+    wrapper.setAttribute('data-theme', 'light');
+    document.body.append(wrapper);
+
+    const element = await fixture(Themed, { parent: wrapper });
+    element.theme = 'midnight';
+    await element.updateComplete;
+    expect([element.theme, element.onDark, element.Theme.themeSource]).toEqual(['midnight', true, 'property']);
+
+    element.removeAttribute('theme');
+    await element.updateComplete;
+    expect([element.theme, element.onDark]).toEqual(['light', false]);
+  });
+
+  it('lets config shorten or clear the dark themes', async () => {
+    const NoDark = defineTestComponent({
+      base: AuroElement,
+      features: { Theme: { enabled: true, config: { darkThemes: [] } } }
+    });
+    const wrapper = document.createElement('div');
+    wrapper.setAttribute('data-theme', 'dark');
+    document.body.append(wrapper);
+
+    const cleared = await fixture(NoDark, { parent: wrapper });
+    const shortened = await fixture(Themed, { parent: wrapper, featureConfig: { Theme: { darkThemes: ['midnight'] } } });
+
+    expect(cleared.Theme.config.darkThemes).toEqual([]);
+    expect(shortened.Theme.config.darkThemes).toEqual(['midnight']);
+    expect([cleared.onDark, shortened.onDark]).toEqual([false, false]);
+  });
+
+  it('reads design tokens with the configured prefix', async () => {
+    const element = await fixture(Themed);
+    element.style.setProperty('--ds-color-text', ' #111 ');
+
+    expect(element.getToken('color-text')).toBe('#111');
+    expect(element.getToken('--ds-color-text')).toBe('#111');
+    expect(element.getToken('missing', 'black')).toBe('black');
+  });
+});
+
+describe('RovingTabindexFeature', () => {
+  const Menu = defineTestComponent({
+    base: AuroElement,
+    features: { RovingTabindex: { enabled: true, config: { items: '[role="menuitem"]', typeaheadTimeout: 50 } } }
+  });
+
+  async function createMenu(config) {
+    const menu = await fixture(Menu, { featureConfig: config && { RovingTabindex: config } });
+    menu.innerHTML = ['Apple', 'Banana', 'Blueberry', 'Cherry']
+      .map(label => `<div role="menuitem"${label === 'Banana' ? ' aria-disabled="true"' : ''}>${label}</div>`)
+      .join('');
+    menu.RovingTabindex.refresh();
+    return { menu, items: [...menu.querySelectorAll('[role="menuitem"]')] };
+  }
+
+  const press = (item, key) => item.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, composed: true, cancelable: true }));
+
+  it('makes the first enabled item the only tab stop', async () => {
+    const { items } = await createMenu();
+
+    expect(items.map(item => item.tabIndex)).toEqual([0, -1, -1, -1]);
+  });
+
+  it('moves with the arrow keys for its orientation, skipping disabled items and wrapping', async () => {
+    const { menu, items } = await createMenu();
+    const changes = [];
+    menu.addEventListener('roving-tabindex-change', event => changes.push(event.detail.index));
+
+    press(items[0], 'ArrowDown');
+    expect(document.activeElement).toBe(items[2]);
+    expect(items.map(item => item.tabIndex)).toEqual([-1, -1, 0, -1]);
+
+    press(items[2], 'ArrowRight');
+    expect(document.activeElement).toBe(items[2]);
+
+    press(items[2], 'End');
+    press(items[3], 'ArrowDown');
+    expect(document.activeElement).toBe(items[0]);
+    expect(changes).toEqual([1, 2, 0]);
+  });
+
+  it('stops at the ends when wrap is off', async () => {
+    const { items } = await createMenu({ wrap: false, orientation: 'horizontal' });
+
+    expect(press(items[0], 'ArrowLeft')).toBe(false);
+    expect(items[0].tabIndex).toBe(0);
+  });
+
+  it('moves to the next item matching typed characters', async () => {
+    const { items } = await createMenu();
+
+    press(items[0], 'c');
+    expect(document.activeElement).toBe(items[3]);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    press(items[3], 'b');
+    press(items[2], 'l');
+    expect(document.activeElement).toBe(items[2]);
+  });
+
+  it('exposes focusItem on the host', async () => {
+    const { menu, items } = await createMenu();
+
+    expect(menu.focusItem(items[1])).toBe(false);
+    expect(menu.focusItem(2)).toBe(true);
+    expect(document.activeElement).toBe(items[3]);
+    expect(RovingTabindexFeature.methods).toEqual(['focusItem']);
+  });
+});